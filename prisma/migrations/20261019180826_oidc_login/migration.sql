@@ -0,0 +1,40 @@
+-- AlterTable
+ALTER TABLE "users" ALTER COLUMN "passwordHash" DROP NOT NULL;
+
+-- CreateTable
+CREATE TABLE "oauth_accounts" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "subject" TEXT NOT NULL,
+    "email" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oauth_accounts_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "oidc_auth_requests" (
+    "id" TEXT NOT NULL,
+    "state" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "nonce" TEXT NOT NULL,
+    "codeVerifier" TEXT NOT NULL,
+    "redirectUri" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "oidc_auth_requests_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "oauth_accounts_userId_idx" ON "oauth_accounts"("userId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oauth_accounts_provider_subject_key" ON "oauth_accounts"("provider", "subject");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "oidc_auth_requests_state_key" ON "oidc_auth_requests"("state");
+
+-- AddForeignKey
+ALTER TABLE "oauth_accounts" ADD CONSTRAINT "oauth_accounts_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,44 @@
+/*
+  Warnings:
+
+  - You are about to drop the column `familyId` on the `refresh_tokens` table. All the data in the column will be lost.
+  - Added the required column `sessionId` to the `refresh_tokens` table without a default value. This is not possible if the table is not empty.
+
+*/
+-- DropIndex
+DROP INDEX "refresh_tokens_familyId_idx";
+
+-- Refresh tokens issued before login sessions existed have no session to
+-- belong to; their holders sign in again
+DELETE FROM "refresh_tokens";
+
+-- AlterTable
+ALTER TABLE "refresh_tokens" DROP COLUMN "familyId",
+ADD COLUMN     "sessionId" TEXT NOT NULL;
+
+-- CreateTable
+CREATE TABLE "sessions" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "deviceLabel" TEXT,
+    "ipAddress" TEXT,
+    "userAgent" TEXT,
+    "lastSeenAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "sessions_userId_idx" ON "sessions"("userId");
+
+-- CreateIndex
+CREATE INDEX "refresh_tokens_sessionId_idx" ON "refresh_tokens"("sessionId");
+
+-- AddForeignKey
+ALTER TABLE "sessions" ADD CONSTRAINT "sessions_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "refresh_tokens" ADD CONSTRAINT "refresh_tokens_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
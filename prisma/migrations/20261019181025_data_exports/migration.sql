@@ -0,0 +1,22 @@
+-- CreateEnum
+CREATE TYPE "DataExportStatus" AS ENUM ('PENDING', 'PROCESSING', 'READY', 'FAILED');
+
+-- CreateTable
+CREATE TABLE "data_exports" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "status" "DataExportStatus" NOT NULL DEFAULT 'PENDING',
+    "filePath" TEXT,
+    "error" TEXT,
+    "expiresAt" TIMESTAMP(3),
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "data_exports_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "data_exports_userId_idx" ON "data_exports"("userId");
+
+-- AddForeignKey
+ALTER TABLE "data_exports" ADD CONSTRAINT "data_exports_userId_fkey" FOREIGN KEY ("userId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
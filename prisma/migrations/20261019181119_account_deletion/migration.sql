@@ -0,0 +1,30 @@
+-- DropForeignKey
+ALTER TABLE "groups" DROP CONSTRAINT "groups_createdById_fkey";
+
+-- DropForeignKey
+ALTER TABLE "posts" DROP CONSTRAINT "posts_authorId_fkey";
+
+-- DropForeignKey
+ALTER TABLE "comments" DROP CONSTRAINT "comments_authorId_fkey";
+
+-- AlterTable
+ALTER TABLE "users" ADD COLUMN     "deletionRequestedAt" TIMESTAMP(3),
+ADD COLUMN     "deletionScheduledAt" TIMESTAMP(3);
+
+-- AlterTable
+ALTER TABLE "groups" ALTER COLUMN "createdById" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "posts" ALTER COLUMN "authorId" DROP NOT NULL;
+
+-- AlterTable
+ALTER TABLE "comments" ALTER COLUMN "authorId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "groups" ADD CONSTRAINT "groups_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "mother_profiles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "posts" ADD CONSTRAINT "posts_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "mother_profiles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "comments" ADD CONSTRAINT "comments_authorId_fkey" FOREIGN KEY ("authorId") REFERENCES "mother_profiles"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "impersonation_sessions" (
+    "id" TEXT NOT NULL,
+    "adminUserId" TEXT NOT NULL,
+    "targetUserId" TEXT NOT NULL,
+    "reason" TEXT NOT NULL,
+    "allowWrites" BOOLEAN NOT NULL DEFAULT false,
+    "ipAddress" TEXT,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "impersonation_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_adminUserId_idx" ON "impersonation_sessions"("adminUserId");
+
+-- CreateIndex
+CREATE INDEX "impersonation_sessions_targetUserId_idx" ON "impersonation_sessions"("targetUserId");
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_adminUserId_fkey" FOREIGN KEY ("adminUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "impersonation_sessions" ADD CONSTRAINT "impersonation_sessions_targetUserId_fkey" FOREIGN KEY ("targetUserId") REFERENCES "users"("id") ON DELETE CASCADE ON UPDATE CASCADE;
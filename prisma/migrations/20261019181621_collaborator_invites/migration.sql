@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "collaborator_invites" (
+    "id" TEXT NOT NULL,
+    "email" TEXT NOT NULL,
+    "profession" TEXT NOT NULL,
+    "createdById" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "redeemedAt" TIMESTAMP(3),
+    "redeemedByUserId" TEXT,
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "collaborator_invites_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "collaborator_invites_email_idx" ON "collaborator_invites"("email");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "pregnancies" ADD COLUMN     "checklistSeededWeek" INTEGER;
@@ -0,0 +1,8 @@
+-- CreateEnum
+CREATE TYPE "DatingMethod" AS ENUM ('LMP', 'DUE_DATE', 'ULTRASOUND');
+
+-- AlterTable
+ALTER TABLE "pregnancies" ADD COLUMN     "datingMethod" "DatingMethod" NOT NULL DEFAULT 'DUE_DATE',
+ADD COLUMN     "lmpDate" TIMESTAMP(3),
+ADD COLUMN     "ultrasoundDate" TIMESTAMP(3),
+ADD COLUMN     "ultrasoundGestationalDays" INTEGER;
@@ -0,0 +1,8 @@
+-- DropIndex
+DROP INDEX "pregnancies_motherProfileId_key";
+
+-- AlterTable
+ALTER TABLE "pregnancies" ADD COLUMN     "endedAt" TIMESTAMP(3);
+
+-- CreateIndex
+CREATE INDEX "pregnancies_motherProfileId_status_idx" ON "pregnancies"("motherProfileId", "status");
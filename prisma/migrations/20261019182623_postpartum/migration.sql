@@ -0,0 +1,65 @@
+-- AlterTable
+ALTER TABLE "pregnancies" ADD COLUMN     "deliveryDate" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "babies" (
+    "id" TEXT NOT NULL,
+    "motherProfileId" TEXT NOT NULL,
+    "pregnancyId" TEXT,
+    "name" TEXT NOT NULL,
+    "birthDate" TIMESTAMP(3) NOT NULL,
+    "birthWeightGrams" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "babies_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "postpartum_weekly_content" (
+    "id" TEXT NOT NULL,
+    "week" INTEGER NOT NULL,
+    "babyDevelopment" TEXT NOT NULL,
+    "motherRecovery" TEXT NOT NULL,
+    "tips" TEXT NOT NULL,
+    "checklist" JSONB,
+    "publishedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "postpartum_weekly_content_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "postpartum_logs" (
+    "id" TEXT NOT NULL,
+    "motherProfileId" TEXT NOT NULL,
+    "pregnancyId" TEXT,
+    "week" INTEGER NOT NULL,
+    "symptoms" TEXT[],
+    "mood" TEXT,
+    "notes" TEXT,
+    "loggedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "postpartum_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "babies_motherProfileId_idx" ON "babies"("motherProfileId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "postpartum_weekly_content_week_key" ON "postpartum_weekly_content"("week");
+
+-- CreateIndex
+CREATE INDEX "postpartum_logs_motherProfileId_loggedAt_idx" ON "postpartum_logs"("motherProfileId", "loggedAt");
+
+-- AddForeignKey
+ALTER TABLE "babies" ADD CONSTRAINT "babies_motherProfileId_fkey" FOREIGN KEY ("motherProfileId") REFERENCES "mother_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "babies" ADD CONSTRAINT "babies_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "postpartum_logs" ADD CONSTRAINT "postpartum_logs_motherProfileId_fkey" FOREIGN KEY ("motherProfileId") REFERENCES "mother_profiles"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "postpartum_logs" ADD CONSTRAINT "postpartum_logs_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE SET NULL ON UPDATE CASCADE;
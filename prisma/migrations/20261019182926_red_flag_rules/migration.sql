@@ -0,0 +1,30 @@
+-- CreateEnum
+CREATE TYPE "RedFlagSeverity" AS ENUM ('URGENT', 'EMERGENCY');
+
+-- CreateEnum
+CREATE TYPE "NotificationPriority" AS ENUM ('NORMAL', 'HIGH');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'HEALTH_ALERT';
+
+-- AlterTable
+ALTER TABLE "notifications" ADD COLUMN     "priority" "NotificationPriority" NOT NULL DEFAULT 'NORMAL';
+
+-- CreateTable
+CREATE TABLE "red_flag_rules" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "symptomGroups" JSONB NOT NULL,
+    "minWeek" INTEGER,
+    "maxWeek" INTEGER,
+    "severity" "RedFlagSeverity" NOT NULL DEFAULT 'URGENT',
+    "guidance" TEXT NOT NULL,
+    "isActive" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "red_flag_rules_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "red_flag_rules_name_key" ON "red_flag_rules"("name");
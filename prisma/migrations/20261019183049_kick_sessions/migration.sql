@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "kick_sessions" (
+    "id" TEXT NOT NULL,
+    "pregnancyId" TEXT NOT NULL,
+    "week" INTEGER NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "kickTimes" TIMESTAMP(3)[],
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "kick_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "kick_sessions_pregnancyId_startedAt_idx" ON "kick_sessions"("pregnancyId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "kick_sessions" ADD CONSTRAINT "kick_sessions_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,34 @@
+-- CreateTable
+CREATE TABLE "contraction_sessions" (
+    "id" TEXT NOT NULL,
+    "pregnancyId" TEXT NOT NULL,
+    "week" INTEGER NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "endedAt" TIMESTAMP(3),
+    "notes" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "contraction_sessions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "contractions" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "startedAt" TIMESTAMP(3) NOT NULL,
+    "endedAt" TIMESTAMP(3),
+
+    CONSTRAINT "contractions_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "contraction_sessions_pregnancyId_startedAt_idx" ON "contraction_sessions"("pregnancyId", "startedAt");
+
+-- CreateIndex
+CREATE INDEX "contractions_sessionId_startedAt_idx" ON "contractions"("sessionId", "startedAt");
+
+-- AddForeignKey
+ALTER TABLE "contraction_sessions" ADD CONSTRAINT "contraction_sessions_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "contractions" ADD CONSTRAINT "contractions_sessionId_fkey" FOREIGN KEY ("sessionId") REFERENCES "contraction_sessions"("id") ON DELETE CASCADE ON UPDATE CASCADE;
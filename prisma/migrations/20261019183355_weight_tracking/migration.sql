@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "pregnancies" ADD COLUMN     "heightCm" DOUBLE PRECISION,
+ADD COLUMN     "prePregnancyWeightKg" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "weight_logs" (
+    "id" TEXT NOT NULL,
+    "pregnancyId" TEXT NOT NULL,
+    "week" INTEGER NOT NULL,
+    "weightKg" DOUBLE PRECISION NOT NULL,
+    "notes" TEXT,
+    "loggedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "weight_logs_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "weight_logs_pregnancyId_loggedAt_idx" ON "weight_logs"("pregnancyId", "loggedAt");
+
+-- AddForeignKey
+ALTER TABLE "weight_logs" ADD CONSTRAINT "weight_logs_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
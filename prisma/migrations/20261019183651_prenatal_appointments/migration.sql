@@ -0,0 +1,37 @@
+-- CreateEnum
+CREATE TYPE "AppointmentType" AS ENUM ('PRENATAL_VISIT', 'ULTRASOUND', 'LAB_TEST', 'VACCINE', 'OTHER');
+
+-- CreateEnum
+CREATE TYPE "AppointmentStatus" AS ENUM ('SCHEDULED', 'COMPLETED', 'CANCELLED');
+
+-- AlterEnum
+ALTER TYPE "NotificationType" ADD VALUE 'APPOINTMENT_REMINDER';
+
+-- CreateTable
+CREATE TABLE "prenatal_appointments" (
+    "id" TEXT NOT NULL,
+    "pregnancyId" TEXT NOT NULL,
+    "type" "AppointmentType" NOT NULL,
+    "title" TEXT,
+    "scheduledAt" TIMESTAMP(3) NOT NULL,
+    "provider" TEXT,
+    "location" TEXT,
+    "notes" TEXT,
+    "results" TEXT,
+    "status" "AppointmentStatus" NOT NULL DEFAULT 'SCHEDULED',
+    "recommendationKey" TEXT,
+    "reminderSentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "prenatal_appointments_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "prenatal_appointments_pregnancyId_scheduledAt_idx" ON "prenatal_appointments"("pregnancyId", "scheduledAt");
+
+-- CreateIndex
+CREATE INDEX "prenatal_appointments_status_scheduledAt_idx" ON "prenatal_appointments"("status", "scheduledAt");
+
+-- AddForeignKey
+ALTER TABLE "prenatal_appointments" ADD CONSTRAINT "prenatal_appointments_pregnancyId_fkey" FOREIGN KEY ("pregnancyId") REFERENCES "pregnancies"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE INDEX "symptom_logs_week_idx" ON "symptom_logs"("week");
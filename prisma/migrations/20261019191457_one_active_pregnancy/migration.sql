@@ -0,0 +1,3 @@
+-- At most one ACTIVE pregnancy per mother. Prisma cannot express a partial
+-- index in schema.prisma, so it only lives in this migration.
+CREATE UNIQUE INDEX "pregnancies_motherProfileId_active_key" ON "pregnancies"("motherProfileId") WHERE "status" = 'ACTIVE';
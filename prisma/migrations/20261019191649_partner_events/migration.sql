@@ -0,0 +1,9 @@
+-- AlterTable
+ALTER TABLE "events" ADD COLUMN     "partnerId" TEXT,
+ALTER COLUMN "organizerId" DROP NOT NULL;
+
+-- CreateIndex
+CREATE INDEX "events_partnerId_idx" ON "events"("partnerId");
+
+-- AddForeignKey
+ALTER TABLE "events" ADD CONSTRAINT "events_partnerId_fkey" FOREIGN KEY ("partnerId") REFERENCES "partners"("id") ON DELETE SET NULL ON UPDATE CASCADE;
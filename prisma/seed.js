@@ -52,7 +52,7 @@ async function main() {
           isFirstPregnancy: true,
           interests: ['parto', 'amamentacao', 'yoga'],
           onboardingDone: true,
-          pregnancy: {
+          pregnancies: {
             create: {
               dueDate: new Date('2025-08-15'),
               currentWeek: 24,
@@ -77,7 +77,7 @@ async function main() {
           isFirstPregnancy: false,
           interests: ['nutricao', 'exercicios'],
           onboardingDone: true,
-          pregnancy: {
+          pregnancies: {
             create: {
               dueDate: new Date('2025-07-20'),
               currentWeek: 28,
@@ -137,7 +137,7 @@ async function main() {
   console.log('✅ Created collaborators: Dra. Carolina, Doula Carla');
 
   // =========================================================================
-  // 4. CREATE SAMPLE WEEKLY CONTENT (Week 24 as example)
+  // 4. CREATE SAMPLE WEEKLY CONTENT (Week 24 and postpartum week 1 as examples)
   // =========================================================================
   console.log('\n📅 Creating sample weekly content...');
 
@@ -160,6 +160,24 @@ async function main() {
 
   console.log('✅ Created weekly content for week 24');
 
+  await prisma.postpartumWeeklyContent.upsert({
+    where: { week: 1 },
+    update: {},
+    create: {
+      week: 1,
+      babyDevelopment: '<p>Seu bebê está se adaptando à vida fora do útero. Ele dorme de 16 a 18 horas por dia e mama a cada 2 ou 3 horas, inclusive à noite.</p>',
+      motherRecovery: '<p>O sangramento (lóquios) é intenso nos primeiros dias e diminui aos poucos. Cólicas ao amamentar são normais: é o útero voltando ao tamanho original.</p>',
+      tips: '<ul><li>Aceite ajuda com as tarefas da casa</li><li>Durma quando o bebê dormir</li><li>Procure atendimento se tiver febre ou sangramento muito intenso</li></ul>',
+      checklist: JSON.stringify([
+        'Agendar a primeira consulta do bebê com o pediatra',
+        'Fazer o teste do pezinho',
+        'Registrar o bebê no cartório'
+      ])
+    }
+  });
+
+  console.log('✅ Created postpartum weekly content for week 1');
+
   // =========================================================================
   // 5. CREATE SAMPLE COMMUNITY GROUP
   // =========================================================================
@@ -257,6 +275,66 @@ async function main() {
 
   console.log('✅ Created event: Workshop Preparação para o Parto');
 
+  // =========================================================================
+  // 8. CREATE DEFAULT RED-FLAG SYMPTOM RULES
+  // =========================================================================
+  console.log('\n🚨 Creating red-flag symptom rules...');
+
+  const redFlagRules = [
+    {
+      name: 'Sangramento vaginal',
+      symptomGroups: [['sangramento', 'sangrando', 'hemorragia', 'perda de sangue']],
+      severity: 'EMERGENCY',
+      guidance: 'Sangramento na gravidez precisa de avaliação imediata. Procure a emergência obstétrica ou ligue 192 (SAMU).'
+    },
+    {
+      name: 'Dor de cabeça forte com inchaço',
+      symptomGroups: [
+        ['dor de cabeça forte', 'dor de cabeça intensa', 'cefaleia'],
+        ['inchaço', 'inchada', 'inchado', 'edema']
+      ],
+      minWeek: 20,
+      severity: 'EMERGENCY',
+      guidance: 'Dor de cabeça forte com inchaço pode ser sinal de pré-eclâmpsia. Procure a emergência obstétrica agora para medir a pressão.'
+    },
+    {
+      name: 'Visão turva',
+      symptomGroups: [['visão turva', 'visão embaçada', 'pontos brilhantes', 'pontos pretos na visão']],
+      minWeek: 20,
+      severity: 'EMERGENCY',
+      guidance: 'Alterações na visão podem ser sinal de pré-eclâmpsia. Procure a emergência obstétrica agora.'
+    },
+    {
+      name: 'Bebê mexendo menos',
+      symptomGroups: [['mexendo menos', 'mexendo pouco', 'não mexe', 'parou de mexer', 'movimentos reduzidos']],
+      minWeek: 28,
+      severity: 'URGENT',
+      guidance: 'Deite-se do lado esquerdo e conte os movimentos do bebê por 2 horas. Se sentir menos de 10, procure a maternidade hoje.'
+    },
+    {
+      name: 'Perda de líquido',
+      symptomGroups: [['perda de líquido', 'vazamento de líquido', 'bolsa rompeu', 'bolsa estourou']],
+      severity: 'URGENT',
+      guidance: 'A perda de líquido pode indicar ruptura da bolsa. Procure a maternidade para avaliação.'
+    },
+    {
+      name: 'Febre',
+      symptomGroups: [['febre']],
+      severity: 'URGENT',
+      guidance: 'Febre na gravidez deve ser avaliada. Procure atendimento médico hoje.'
+    }
+  ];
+
+  for (const rule of redFlagRules) {
+    await prisma.redFlagRule.upsert({
+      where: { name: rule.name },
+      update: {},
+      create: rule
+    });
+  }
+
+  console.log(`✅ Created ${redFlagRules.length} red-flag symptom rules`);
+
   console.log('\n✨ Database seeding completed successfully!\n');
   console.log('📧 Login credentials:');
   console.log('   Admin: admin@mamacita.com / admin123');
@@ -1,4 +1,25 @@
 import prisma from '../../utils/prisma.js';
+import { unlockAccount } from '../../utils/loginProtection.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import {
+  validateScopes,
+  createApiKey as issueApiKey,
+  rotateApiKey as replaceApiKey,
+  revokeApiKey as disableApiKey,
+  toPublicApiKey
+} from '../../utils/apiKeys.js';
+import { isValidEmail, validateRequiredFields } from '../../utils/validation.js';
+import { generateToken, generatePurposeToken } from '../../utils/jwt.js';
+import { sendMail } from '../../utils/mailer.js';
+import { collaboratorInviteEmail } from '../../utils/emailTemplates.js';
+import { validateRedFlagRule, normalizeSymptomGroups } from '../../utils/redFlags.js';
+
+const IMPERSONATION_DEFAULT_MINUTES = 15;
+const IMPERSONATION_MAX_MINUTES = 60;
+const COLLABORATOR_INVITE_EXPIRES_DAYS = parseInt(process.env.COLLABORATOR_INVITE_EXPIRES_DAYS) || 7;
+const COLLABORATOR_INVITE_MAX_DAYS = 30;
+const AUDIT_LOG_MAX_PAGE_SIZE = 100;
+const RED_FLAG_RULE_FIELDS = ['name', 'symptomGroups', 'minWeek', 'maxWeek', 'severity', 'guidance', 'isActive'];
 
 /**
  * Get admin dashboard stats
@@ -127,11 +148,30 @@ export const updateReportStatus = async (req, res) => {
       });
     }
 
+    const existing = await prisma.report.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Denúncia não encontrada'
+      });
+    }
+
     const report = await prisma.report.update({
       where: { id },
       data: { status }
     });
 
+    await recordAudit(req, {
+      action: 'report.update_status',
+      targetType: 'Report',
+      targetId: id,
+      before: existing,
+      after: report
+    });
+
     res.status(200).json({
       success: true,
       message: 'Denúncia atualizada com sucesso',
@@ -155,11 +195,30 @@ export const verifyCollaborator = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await prisma.collaboratorProfile.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Colaborador não encontrado'
+      });
+    }
+
     const collaborator = await prisma.collaboratorProfile.update({
       where: { id },
       data: { isVerified: true }
     });
 
+    await recordAudit(req, {
+      action: 'collaborator.verify',
+      targetType: 'CollaboratorProfile',
+      targetId: id,
+      before: existing,
+      after: collaborator
+    });
+
     res.status(200).json({
       success: true,
       message: 'Colaborador verificado com sucesso',
@@ -175,6 +234,179 @@ export const verifyCollaborator = async (req, res) => {
   }
 };
 
+/**
+ * Invite a collaborator by email (signed, expiring link)
+ * POST /api/v1/admin/collaborator-invites
+ */
+export const createCollaboratorInvite = async (req, res) => {
+  try {
+    const { email, profession, expiresInDays } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['email', 'profession']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    if (!isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email inválido'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Este email já está cadastrado'
+      });
+    }
+
+    const days = Math.min(
+      COLLABORATOR_INVITE_MAX_DAYS,
+      Math.max(1, parseInt(expiresInDays) || COLLABORATOR_INVITE_EXPIRES_DAYS)
+    );
+
+    const invite = await prisma.collaboratorInvite.create({
+      data: {
+        email,
+        profession,
+        createdById: req.userId,
+        expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000)
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'collaborator_invite.create',
+      targetType: 'CollaboratorInvite',
+      targetId: invite.id,
+      after: invite
+    });
+
+    const token = generatePurposeToken('collaborator_invite', {
+      inviteId: invite.id,
+      email: invite.email
+    }, days * 24 * 60 * 60);
+
+    // The invite stays valid if delivery fails; the admin can share the token directly
+    try {
+      await sendMail({
+        to: invite.email,
+        ...collaboratorInviteEmail(invite.profession, token, invite.expiresAt)
+      });
+    } catch (mailError) {
+      console.error('Send collaborator invite error:', mailError);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Convite enviado com sucesso',
+      data: {
+        invite,
+        token
+      }
+    });
+  } catch (error) {
+    console.error('Create collaborator invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar convite',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List collaborator invites
+ * GET /api/v1/admin/collaborator-invites
+ */
+export const getCollaboratorInvites = async (req, res) => {
+  try {
+    const { email, status } = req.query;
+
+    const whereClause = {};
+    const now = new Date();
+
+    if (email) {
+      whereClause.email = email;
+    }
+
+    if (status === 'pending') {
+      Object.assign(whereClause, { redeemedAt: null, revokedAt: null, expiresAt: { gt: now } });
+    } else if (status === 'redeemed') {
+      whereClause.redeemedAt = { not: null };
+    } else if (status === 'revoked') {
+      whereClause.revokedAt = { not: null };
+    } else if (status === 'expired') {
+      Object.assign(whereClause, { redeemedAt: null, revokedAt: null, expiresAt: { lte: now } });
+    }
+
+    const invites = await prisma.collaboratorInvite.findMany({
+      where: whereClause,
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    res.status(200).json({
+      success: true,
+      data: invites
+    });
+  } catch (error) {
+    console.error('Get collaborator invites error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar convites',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke a pending collaborator invite
+ * DELETE /api/v1/admin/collaborator-invites/:id
+ */
+export const revokeCollaboratorInvite = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.collaboratorInvite.updateMany({
+      where: { id, redeemedAt: null, revokedAt: null },
+      data: { revokedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Convite não encontrado ou já utilizado'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'collaborator_invite.revoke',
+      targetType: 'CollaboratorInvite',
+      targetId: id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Convite revogado com sucesso'
+    });
+  } catch (error) {
+    console.error('Revoke collaborator invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao revogar convite',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Publish class
  * PUT /api/v1/admin/classes/:id/publish
@@ -183,11 +415,30 @@ export const publishClass = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await prisma.class.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Aula não encontrada'
+      });
+    }
+
     const classData = await prisma.class.update({
       where: { id },
       data: { isPublished: true }
     });
 
+    await recordAudit(req, {
+      action: 'class.publish',
+      targetType: 'Class',
+      targetId: id,
+      before: existing,
+      after: classData
+    });
+
     res.status(200).json({
       success: true,
       message: 'Aula publicada com sucesso',
@@ -211,11 +462,30 @@ export const publishEvent = async (req, res) => {
   try {
     const { id } = req.params;
 
+    const existing = await prisma.event.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evento não encontrado'
+      });
+    }
+
     const event = await prisma.event.update({
       where: { id },
       data: { isPublished: true }
     });
 
+    await recordAudit(req, {
+      action: 'event.publish',
+      targetType: 'Event',
+      targetId: id,
+      before: existing,
+      after: event
+    });
+
     res.status(200).json({
       success: true,
       message: 'Evento publicado com sucesso',
@@ -230,3 +500,871 @@ export const publishEvent = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get recent account lockouts
+ * GET /api/v1/admin/lockouts
+ */
+export const getLockouts = async (req, res) => {
+  try {
+    const { userId, ipAddress, active } = req.query;
+
+    const whereClause = {};
+
+    if (userId) {
+      whereClause.userId = userId;
+    }
+
+    if (ipAddress) {
+      whereClause.ipAddress = ipAddress;
+    }
+
+    if (active === 'true') {
+      whereClause.unlockedAt = null;
+      whereClause.lockedUntil = { gt: new Date() };
+    }
+
+    const lockouts = await prisma.accountLockout.findMany({
+      where: whereClause,
+      include: {
+        user: {
+          select: {
+            email: true,
+            role: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    res.status(200).json({
+      success: true,
+      data: lockouts
+    });
+  } catch (error) {
+    console.error('Get lockouts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar bloqueios',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Unlock a user account locked by failed logins
+ * POST /api/v1/admin/users/:id/unlock
+ */
+export const unlockUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const user = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    await unlockAccount(id, req.userId);
+
+    await recordAudit(req, {
+      action: 'user.unlock',
+      targetType: 'User',
+      targetId: id,
+      before: { lockedUntil: user.lockedUntil, failedLoginAttempts: user.failedLoginAttempts },
+      after: { lockedUntil: null, failedLoginAttempts: 0 }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Conta desbloqueada com sucesso'
+    });
+  } catch (error) {
+    console.error('Unlock user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao desbloquear conta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List partners
+ * GET /api/v1/admin/partners
+ */
+export const getPartners = async (req, res) => {
+  try {
+    const partners = await prisma.partner.findMany({
+      include: {
+        _count: {
+          select: {
+            apiKeys: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: partners
+    });
+  } catch (error) {
+    console.error('Get partners error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar parceiros',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create partner (e.g. clinic integrating without a human login)
+ * POST /api/v1/admin/partners
+ */
+export const createPartner = async (req, res) => {
+  try {
+    const { name, contactEmail } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['name']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    const partner = await prisma.partner.create({
+      data: { name, contactEmail }
+    });
+
+    await recordAudit(req, {
+      action: 'partner.create',
+      targetType: 'Partner',
+      targetId: partner.id,
+      after: partner
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Parceiro criado com sucesso',
+      data: partner
+    });
+  } catch (error) {
+    console.error('Create partner error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar parceiro',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List API keys (partner and collaborator keys)
+ * GET /api/v1/admin/api-keys
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const { partnerId, collaboratorProfileId } = req.query;
+
+    const whereClause = {};
+
+    if (partnerId) {
+      whereClause.partnerId = partnerId;
+    }
+
+    if (collaboratorProfileId) {
+      whereClause.collaboratorProfileId = collaboratorProfileId;
+    }
+
+    const apiKeys = await prisma.apiKey.findMany({
+      where: whereClause,
+      include: {
+        partner: {
+          select: {
+            name: true
+          }
+        },
+        collaboratorProfile: {
+          select: {
+            fullName: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys.map(toPublicApiKey)
+    });
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar chaves de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Issue API key for a partner or collaborator
+ * POST /api/v1/admin/api-keys
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, partnerId, collaboratorProfileId, expiresAt } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['name', 'scopes']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    if (Boolean(partnerId) === Boolean(collaboratorProfileId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe partnerId ou collaboratorProfileId (apenas um)'
+      });
+    }
+
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const owner = partnerId
+      ? await prisma.partner.findUnique({ where: { id: partnerId } })
+      : await prisma.collaboratorProfile.findUnique({ where: { id: collaboratorProfileId } });
+
+    if (!owner) {
+      return res.status(404).json({
+        success: false,
+        message: partnerId ? 'Parceiro não encontrado' : 'Colaborador não encontrado'
+      });
+    }
+
+    const { key, apiKey } = await issueApiKey({
+      name,
+      scopes,
+      partnerId,
+      collaboratorProfileId,
+      createdById: req.userId,
+      expiresAt
+    });
+
+    await recordAudit(req, {
+      action: 'api_key.create',
+      targetType: 'ApiKey',
+      targetId: apiKey.id,
+      after: apiKey
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave criada. Copie agora: ela não será exibida novamente',
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('Create API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rotate API key (old key keeps working for a grace period)
+ * POST /api/v1/admin/api-keys/:id/rotate
+ */
+export const rotateApiKey = async (req, res) => {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!apiKey || apiKey.revokedAt || apiKey.rotatedToId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave de API não encontrada ou já substituída'
+      });
+    }
+
+    const { key, apiKey: replacement } = await replaceApiKey(apiKey, req.userId);
+
+    await recordAudit(req, {
+      action: 'api_key.rotate',
+      targetType: 'ApiKey',
+      targetId: apiKey.id,
+      metadata: { replacementId: replacement.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave rotacionada. Copie agora: ela não será exibida novamente',
+      data: { ...replacement, key }
+    });
+  } catch (error) {
+    console.error('Rotate API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao rotacionar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke API key
+ * DELETE /api/v1/admin/api-keys/:id
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const apiKey = await prisma.apiKey.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave de API não encontrada'
+      });
+    }
+
+    await disableApiKey(apiKey.id);
+
+    await recordAudit(req, {
+      action: 'api_key.revoke',
+      targetType: 'ApiKey',
+      targetId: apiKey.id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Chave de API revogada'
+    });
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao revogar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Start a support session as another user (short-lived, read-only by default)
+ * POST /api/v1/admin/users/:id/impersonate
+ */
+export const impersonateUser = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { reason, durationMinutes, allowWrites } = req.body;
+
+    if (!reason || !String(reason).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Informe o motivo do acesso de suporte'
+      });
+    }
+
+    const target = await prisma.user.findUnique({
+      where: { id }
+    });
+
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    if (target.role === 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Não é possível acessar a conta de outro administrador'
+      });
+    }
+
+    const minutes = Math.min(
+      IMPERSONATION_MAX_MINUTES,
+      Math.max(1, parseInt(durationMinutes) || IMPERSONATION_DEFAULT_MINUTES)
+    );
+
+    const impersonation = await prisma.impersonationSession.create({
+      data: {
+        adminUserId: req.userId,
+        targetUserId: target.id,
+        reason: String(reason).trim(),
+        allowWrites: allowWrites === true,
+        ipAddress: req.ip,
+        expiresAt: new Date(Date.now() + minutes * 60 * 1000)
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'user.impersonate',
+      targetType: 'User',
+      targetId: target.id,
+      metadata: {
+        impersonationId: impersonation.id,
+        reason: impersonation.reason,
+        allowWrites: impersonation.allowWrites,
+        expiresAt: impersonation.expiresAt
+      }
+    });
+
+    const token = generateToken({
+      userId: target.id,
+      email: target.email,
+      role: target.role,
+      imp: impersonation.id,
+      impersonatedBy: req.userId
+    }, minutes * 60);
+
+    res.status(201).json({
+      success: true,
+      message: `Sessão de suporte iniciada por ${minutes} minutos`,
+      data: {
+        token,
+        impersonation
+      }
+    });
+  } catch (error) {
+    console.error('Impersonate user error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao iniciar sessão de suporte',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List support sessions with their duration
+ * GET /api/v1/admin/impersonations
+ */
+export const getImpersonations = async (req, res) => {
+  try {
+    const { adminUserId, targetUserId } = req.query;
+
+    const whereClause = {};
+
+    if (adminUserId) {
+      whereClause.adminUserId = adminUserId;
+    }
+
+    if (targetUserId) {
+      whereClause.targetUserId = targetUserId;
+    }
+
+    const impersonations = await prisma.impersonationSession.findMany({
+      where: whereClause,
+      include: {
+        admin: {
+          select: {
+            email: true
+          }
+        },
+        target: {
+          select: {
+            email: true,
+            role: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' },
+      take: 100
+    });
+
+    const now = new Date();
+
+    res.status(200).json({
+      success: true,
+      data: impersonations.map(impersonation => {
+        const endedAt = impersonation.endedAt
+          || (impersonation.expiresAt <= now ? impersonation.expiresAt : null);
+
+        return {
+          ...impersonation,
+          active: !endedAt,
+          durationSeconds: Math.round(((endedAt || now) - impersonation.createdAt) / 1000)
+        };
+      })
+    });
+  } catch (error) {
+    console.error('Get impersonations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar sessões de suporte',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * End a support session early
+ * POST /api/v1/admin/impersonations/:id/end
+ */
+export const endImpersonation = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const { count } = await prisma.impersonationSession.updateMany({
+      where: { id, endedAt: null, expiresAt: { gt: new Date() } },
+      data: { endedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sessão de suporte não encontrada ou já encerrada'
+      });
+    }
+
+    await recordAudit(req, {
+      action: 'impersonation.end',
+      targetType: 'ImpersonationSession',
+      targetId: id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão de suporte encerrada'
+    });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessão de suporte',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Search the audit log (newest first, paginated)
+ * GET /api/v1/admin/audit-log
+ */
+export const getAuditLog = async (req, res) => {
+  try {
+    const { actorUserId, action, targetType, targetId, from, to } = req.query;
+    const page = Math.max(1, parseInt(req.query.page) || 1);
+    const limit = Math.min(AUDIT_LOG_MAX_PAGE_SIZE, Math.max(1, parseInt(req.query.limit) || 50));
+
+    const whereClause = {};
+
+    if (actorUserId) {
+      whereClause.actorUserId = actorUserId;
+    }
+
+    if (action) {
+      // "collaborator" matches every collaborator.* action
+      whereClause.action = action.includes('.') ? action : { startsWith: `${action}.` };
+    }
+
+    if (targetType) {
+      whereClause.targetType = targetType;
+    }
+
+    if (targetId) {
+      whereClause.targetId = targetId;
+    }
+
+    if (from || to) {
+      whereClause.createdAt = {
+        ...(from && { gte: new Date(from) }),
+        ...(to && { lte: new Date(to) })
+      };
+
+      if (Object.values(whereClause.createdAt).some(date => isNaN(date))) {
+        return res.status(400).json({
+          success: false,
+          message: 'Datas inválidas em from/to'
+        });
+      }
+    }
+
+    const [entries, total] = await Promise.all([
+      prisma.auditLog.findMany({
+        where: whereClause,
+        orderBy: { createdAt: 'desc' },
+        skip: (page - 1) * limit,
+        take: limit
+      }),
+      prisma.auditLog.count({ where: whereClause })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: entries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar registro de auditoria',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Pick the rule fields present in a request body
+ * @param {Object} body
+ * @returns {Object} Prisma data
+ */
+const pickRedFlagRuleData = (body) => {
+  const data = {};
+
+  for (const field of RED_FLAG_RULE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  if (data.name !== undefined) {
+    data.name = String(data.name).trim();
+  }
+
+  if (data.isActive !== undefined) {
+    data.isActive = Boolean(data.isActive);
+  }
+
+  return data;
+};
+
+/**
+ * Check that no other rule uses a name
+ * @param {string} name
+ * @param {string} [excludeId] - Rule being updated
+ * @returns {Promise<boolean>}
+ */
+const isRedFlagRuleNameTaken = async (name, excludeId) => {
+  const rule = await prisma.redFlagRule.findUnique({
+    where: { name }
+  });
+
+  return Boolean(rule) && rule.id !== excludeId;
+};
+
+/**
+ * List red-flag symptom rules
+ * GET /api/v1/admin/red-flag-rules
+ */
+export const getRedFlagRules = async (req, res) => {
+  try {
+    const { active } = req.query;
+
+    const whereClause = {};
+
+    if (active !== undefined) {
+      whereClause.isActive = active === 'true';
+    }
+
+    const rules = await prisma.redFlagRule.findMany({
+      where: whereClause,
+      orderBy: [{ severity: 'desc' }, { name: 'asc' }]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: rules
+    });
+  } catch (error) {
+    console.error('Get red flag rules error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar regras de sinais de alerta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create a red-flag symptom rule
+ * POST /api/v1/admin/red-flag-rules
+ */
+export const createRedFlagRule = async (req, res) => {
+  try {
+    const data = pickRedFlagRuleData(req.body);
+
+    const validationError = validateRedFlagRule(data);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (await isRedFlagRuleNameTaken(data.name)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Já existe uma regra com esse nome'
+      });
+    }
+
+    const rule = await prisma.redFlagRule.create({
+      data: {
+        ...data,
+        symptomGroups: normalizeSymptomGroups(data.symptomGroups)
+      }
+    });
+
+    await recordAudit(req, {
+      action: 'red_flag_rule.create',
+      targetType: 'RedFlagRule',
+      targetId: rule.id,
+      after: rule
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Regra criada com sucesso',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Create red flag rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar regra de sinal de alerta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a red-flag symptom rule (including enabling/disabling it)
+ * PUT /api/v1/admin/red-flag-rules/:id
+ */
+export const updateRedFlagRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.redFlagRule.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    const data = pickRedFlagRuleData(req.body);
+
+    const validationError = validateRedFlagRule({ ...existing, ...data });
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    if (data.name && await isRedFlagRuleNameTaken(data.name, id)) {
+      return res.status(409).json({
+        success: false,
+        message: 'Já existe uma regra com esse nome'
+      });
+    }
+
+    if (data.symptomGroups !== undefined) {
+      data.symptomGroups = normalizeSymptomGroups(data.symptomGroups);
+    }
+
+    const rule = await prisma.redFlagRule.update({
+      where: { id },
+      data
+    });
+
+    await recordAudit(req, {
+      action: 'red_flag_rule.update',
+      targetType: 'RedFlagRule',
+      targetId: id,
+      before: existing,
+      after: rule
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Regra atualizada com sucesso',
+      data: rule
+    });
+  } catch (error) {
+    console.error('Update red flag rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar regra de sinal de alerta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a red-flag symptom rule
+ * DELETE /api/v1/admin/red-flag-rules/:id
+ */
+export const deleteRedFlagRule = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const existing = await prisma.redFlagRule.findUnique({
+      where: { id }
+    });
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Regra não encontrada'
+      });
+    }
+
+    await prisma.redFlagRule.delete({
+      where: { id }
+    });
+
+    await recordAudit(req, {
+      action: 'red_flag_rule.delete',
+      targetType: 'RedFlagRule',
+      targetId: id,
+      before: existing
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Regra removida com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete red flag rule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover regra de sinal de alerta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
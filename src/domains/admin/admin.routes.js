@@ -4,21 +4,64 @@ import {
   getReports,
   updateReportStatus,
   verifyCollaborator,
+  createCollaboratorInvite,
+  getCollaboratorInvites,
+  revokeCollaboratorInvite,
   publishClass,
-  publishEvent
+  publishEvent,
+  getLockouts,
+  unlockUser,
+  getPartners,
+  createPartner,
+  getApiKeys,
+  createApiKey,
+  rotateApiKey,
+  revokeApiKey,
+  impersonateUser,
+  getImpersonations,
+  endImpersonation,
+  getAuditLog,
+  getRedFlagRules,
+  createRedFlagRule,
+  updateRedFlagRule,
+  deleteRedFlagRule
 } from './admin.controller.js';
-import { authenticate, isAdmin } from '../../middleware/auth.js';
+import {
+  authenticate,
+  isAdmin,
+  requireTwoFactorEnrollment,
+  requirePermission
+} from '../../middleware/auth.js';
 
 const router = express.Router();
 
-// All admin routes require admin authentication
-router.use(authenticate, isAdmin);
+// All admin routes require admin authentication (and 2FA when mandatory)
+router.use(authenticate, isAdmin, requireTwoFactorEnrollment);
 
-router.get('/stats', getStats);
-router.get('/reports', getReports);
-router.put('/reports/:id', updateReportStatus);
-router.put('/collaborators/:id/verify', verifyCollaborator);
-router.put('/classes/:id/publish', publishClass);
-router.put('/events/:id/publish', publishEvent);
+router.get('/stats', requirePermission('stats:view'), getStats);
+router.get('/reports', requirePermission('reports:manage'), getReports);
+router.put('/reports/:id', requirePermission('reports:manage'), updateReportStatus);
+router.put('/collaborators/:id/verify', requirePermission('collaborators:verify'), verifyCollaborator);
+router.get('/collaborator-invites', requirePermission('collaborators:invite'), getCollaboratorInvites);
+router.post('/collaborator-invites', requirePermission('collaborators:invite'), createCollaboratorInvite);
+router.delete('/collaborator-invites/:id', requirePermission('collaborators:invite'), revokeCollaboratorInvite);
+router.put('/classes/:id/publish', requirePermission('content:publish'), publishClass);
+router.put('/events/:id/publish', requirePermission('content:publish'), publishEvent);
+router.get('/lockouts', requirePermission('users:suspend'), getLockouts);
+router.post('/users/:id/unlock', requirePermission('users:suspend'), unlockUser);
+router.get('/partners', requirePermission('api-keys:manage'), getPartners);
+router.post('/partners', requirePermission('api-keys:manage'), createPartner);
+router.get('/api-keys', requirePermission('api-keys:manage'), getApiKeys);
+router.post('/api-keys', requirePermission('api-keys:manage'), createApiKey);
+router.post('/api-keys/:id/rotate', requirePermission('api-keys:manage'), rotateApiKey);
+router.delete('/api-keys/:id', requirePermission('api-keys:manage'), revokeApiKey);
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), impersonateUser);
+router.get('/impersonations', requirePermission('users:impersonate'), getImpersonations);
+router.post('/impersonations/:id/end', requirePermission('users:impersonate'), endImpersonation);
+router.get('/audit-log', requirePermission('audit-log:view'), getAuditLog);
+router.get('/red-flag-rules', requirePermission('health-rules:manage'), getRedFlagRules);
+router.post('/red-flag-rules', requirePermission('health-rules:manage'), createRedFlagRule);
+router.put('/red-flag-rules/:id', requirePermission('health-rules:manage'), updateRedFlagRule);
+router.delete('/red-flag-rules/:id', requirePermission('health-rules:manage'), deleteRedFlagRule);
 
 export default router;
@@ -1,7 +1,67 @@
 import bcrypt from 'bcryptjs';
 import prisma from '../../utils/prisma.js';
-import { generateToken } from '../../utils/jwt.js';
+import { sanitizeUser } from '../../utils/sanitize.js';
+import {
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserSessions
+} from '../../utils/session.js';
+import { generateOpaqueToken, hashToken } from '../../utils/tokens.js';
+import {
+  checkIpThrottle,
+  checkAccountThrottle,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins
+} from '../../utils/loginProtection.js';
+import { generatePurposeToken, verifyPurposeToken } from '../../utils/jwt.js';
+import { sendMail } from '../../utils/mailer.js';
+import {
+  verificationEmail,
+  passwordResetEmail,
+  magicLinkEmail
+} from '../../utils/emailTemplates.js';
 import { isValidEmail, isValidPassword, validateRequiredFields } from '../../utils/validation.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import { sendAuthResponse, sendTwoFactorChallenge } from './auth.helpers.js';
+
+const EMAIL_VERIFICATION_EXPIRES_IN = process.env.EMAIL_VERIFICATION_EXPIRES_IN || '24h';
+const PASSWORD_RESET_EXPIRES_MINUTES = parseInt(process.env.PASSWORD_RESET_EXPIRES_MINUTES) || 30;
+const PASSWORD_RESET_MAX_PER_WINDOW = parseInt(process.env.PASSWORD_RESET_MAX_PER_WINDOW) || 3;
+const PASSWORD_RESET_WINDOW_MINUTES = 15;
+const MAGIC_LINK_EXPIRES_MINUTES = parseInt(process.env.MAGIC_LINK_EXPIRES_MINUTES) || 10;
+const MAGIC_LINK_MAX_PER_WINDOW = parseInt(process.env.MAGIC_LINK_MAX_PER_WINDOW) || 3;
+const MAGIC_LINK_WINDOW_MINUTES = 15;
+// When false, collaborators can only join through an admin invite
+const ALLOW_COLLABORATOR_SELF_REGISTRATION = process.env.ALLOW_COLLABORATOR_SELF_REGISTRATION !== 'false';
+
+/**
+ * Get the display name from whichever profile the user has
+ * @param {Object} user - User with profiles included
+ * @returns {string}
+ */
+const getDisplayName = (user) => {
+  return user.motherProfile?.fullName
+    || user.collaboratorProfile?.fullName
+    || user.adminProfile?.fullName
+    || user.email;
+};
+
+/**
+ * Send a signed email verification link to the user
+ * @param {Object} user - User with profiles included
+ */
+const sendVerificationEmail = async (user) => {
+  const token = generatePurposeToken('email_verification', {
+    userId: user.id,
+    email: user.email
+  }, EMAIL_VERIFICATION_EXPIRES_IN);
+
+  await sendMail({
+    to: user.email,
+    ...verificationEmail(getDisplayName(user), token)
+  });
+};
 
 /**
  * Register a new user (Mother or Collaborator)
@@ -44,6 +104,13 @@ export const register = async (req, res) => {
       });
     }
 
+    if (role === 'COLLABORATOR' && !ALLOW_COLLABORATOR_SELF_REGISTRATION) {
+      return res.status(403).json({
+        success: false,
+        message: 'O cadastro de colaboradores é feito apenas por convite'
+      });
+    }
+
     // Check if email already exists
     const existingUser = await prisma.user.findUnique({
       where: { email }
@@ -64,7 +131,7 @@ export const register = async (req, res) => {
       email,
       passwordHash,
       role,
-      isVerified: false // Email verification can be added later
+      isVerified: false // Flipped by POST /auth/verify-email
     };
 
     if (role === 'MOTHER') {
@@ -101,23 +168,18 @@ export const register = async (req, res) => {
       }
     });
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role
-    });
-
-    // Return user data without password
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    // Send verification email (registration still succeeds if delivery fails)
+    try {
+      await sendVerificationEmail(user);
+    } catch (mailError) {
+      console.error('Send verification email error:', mailError);
+    }
 
-    res.status(201).json({
-      success: true,
+    await sendAuthResponse(req, res, user, {
+      status: 201,
       message: 'Usuário criado com sucesso',
-      data: {
-        user: userWithoutPassword,
-        token
-      }
+      auditAction: 'auth.register',
+      method: 'password'
     });
   } catch (error) {
     console.error('Register error:', error);
@@ -131,6 +193,125 @@ export const register = async (req, res) => {
   }
 };
 
+/**
+ * Register a collaborator through an admin invite
+ * POST /api/v1/auth/register/invite
+ */
+export const registerWithInvite = async (req, res) => {
+  try {
+    const { token, password, fullName, specialties } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['token', 'password', 'fullName']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A senha deve ter pelo menos 6 caracteres'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('collaborator_invite', token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Convite inválido ou expirado'
+      });
+    }
+
+    const existingUser = await prisma.user.findUnique({
+      where: { email: decoded.email }
+    });
+
+    if (existingUser) {
+      return res.status(409).json({
+        success: false,
+        message: 'Este email já está cadastrado'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    const user = await prisma.$transaction(async (tx) => {
+      // Claim the invite first so it can only be redeemed once
+      const { count } = await tx.collaboratorInvite.updateMany({
+        where: {
+          id: decoded.inviteId,
+          email: decoded.email,
+          redeemedAt: null,
+          revokedAt: null,
+          expiresAt: { gt: new Date() }
+        },
+        data: { redeemedAt: new Date() }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const invite = await tx.collaboratorInvite.findUnique({
+        where: { id: decoded.inviteId }
+      });
+
+      // The invite link proves the email and the admin vouched for the profession
+      const created = await tx.user.create({
+        data: {
+          email: invite.email,
+          passwordHash,
+          role: 'COLLABORATOR',
+          isVerified: true,
+          collaboratorProfile: {
+            create: {
+              fullName,
+              profession: invite.profession,
+              specialties: specialties || [],
+              isVerified: true
+            }
+          }
+        },
+        include: {
+          collaboratorProfile: true
+        }
+      });
+
+      await tx.collaboratorInvite.update({
+        where: { id: invite.id },
+        data: { redeemedByUserId: created.id }
+      });
+
+      return created;
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Convite inválido, revogado ou já utilizado'
+      });
+    }
+
+    await sendAuthResponse(req, res, user, {
+      status: 201,
+      message: 'Colaborador cadastrado com sucesso',
+      auditAction: 'auth.register',
+      method: 'collaborator_invite'
+    });
+  } catch (error) {
+    console.error('Register with invite error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao aceitar convite',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Login user
  * POST /api/v1/auth/login
@@ -148,13 +329,33 @@ export const login = async (req, res) => {
       });
     }
 
+    const attempt = {
+      email,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Too many failures from this IP (credential stuffing)
+    const ipThrottle = await checkIpThrottle(attempt.ipAddress);
+    if (ipThrottle.blocked) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'throttled' });
+      res.set('Retry-After', String(ipThrottle.retryAfter));
+      return res.status(429).json({
+        success: false,
+        message: 'Muitas tentativas de login. Tente novamente mais tarde',
+        retryAfter: ipThrottle.retryAfter
+      });
+    }
+
     // Find user by email
     const user = await prisma.user.findUnique({
       where: { email },
       include: {
         motherProfile: {
           include: {
-            pregnancy: true
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
           }
         },
         collaboratorProfile: true,
@@ -163,45 +364,581 @@ export const login = async (req, res) => {
     });
 
     if (!user) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'unknown_email' });
       return res.status(401).json({
         success: false,
         message: 'Email ou senha incorretos'
       });
     }
 
-    // Verify password
-    const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+    attempt.userId = user.id;
+
+    // Locked account or progressive delay still running
+    const accountThrottle = checkAccountThrottle(user);
+    if (accountThrottle.locked || accountThrottle.throttled) {
+      await recordLoginAttempt({
+        ...attempt,
+        success: false,
+        reason: accountThrottle.locked ? 'locked' : 'throttled'
+      });
+      res.set('Retry-After', String(accountThrottle.retryAfter));
+      return res.status(accountThrottle.locked ? 423 : 429).json({
+        success: false,
+        message: accountThrottle.locked
+          ? 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde'
+          : 'Muitas tentativas de login. Aguarde alguns segundos',
+        retryAfter: accountThrottle.retryAfter
+      });
+    }
+
+    // Verify password (accounts created through social login may not have one)
+    const isPasswordValid = user.passwordHash
+      && await bcrypt.compare(password, user.passwordHash);
 
     if (!isPasswordValid) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_password' });
+      const failure = await registerFailedLogin(user, attempt.ipAddress);
+
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(423).json({
+          success: false,
+          message: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde',
+          retryAfter: failure.retryAfter
+        });
+      }
+
       return res.status(401).json({
         success: false,
         message: 'Email ou senha incorretos'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken({
-      userId: user.id,
-      email: user.email,
-      role: user.role
+    // Two-step login: counters are only reset once the second factor passes
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt({ ...attempt, success: true });
+
+    await sendAuthResponse(req, res, user, {
+      message: 'Login realizado com sucesso',
+      method: 'password'
+    });
+  } catch (error) {
+    console.error('Login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer login',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
+  }
+};
+
+/**
+ * Exchange a refresh token for a new token pair
+ * POST /api/v1/auth/refresh
+ */
+export const refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token é obrigatório'
+      });
+    }
 
-    // Return user data without password
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    const tokens = await rotateRefreshToken(refreshToken, { ipAddress: req.ip });
 
     res.status(200).json({
       success: true,
-      message: 'Login realizado com sucesso',
       data: {
-        user: userWithoutPassword,
-        token
+        token: tokens.token,
+        refreshToken: tokens.refreshToken
       }
     });
   } catch (error) {
-    console.error('Login error:', error);
+    if (error.name === 'RefreshTokenError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+
+    console.error('Refresh token error:', error);
     res.status(500).json({
       success: false,
-      message: 'Erro ao fazer login',
+      message: 'Erro ao renovar sessão',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Logout (revoke the session the refresh token belongs to)
+ * POST /api/v1/auth/logout
+ */
+export const logout = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        message: 'Refresh token é obrigatório'
+      });
+    }
+
+    await revokeRefreshToken(refreshToken);
+
+    res.status(200).json({
+      success: true,
+      message: 'Logout realizado com sucesso'
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao fazer logout',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Verify email address from a signed token
+ * POST /api/v1/auth/verify-email
+ */
+export const verifyEmail = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de verificação é obrigatório'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('email_verification', token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de verificação inválido ou expirado'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId }
+    });
+
+    // Reject tokens issued for a previous email address
+    if (!user || user.email !== decoded.email) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de verificação inválido ou expirado'
+      });
+    }
+
+    if (!user.isVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { isVerified: true }
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Email verificado com sucesso'
+    });
+  } catch (error) {
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao verificar email',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Resend verification email to the authenticated user
+ * POST /api/v1/auth/resend-verification
+ */
+export const resendVerification = async (req, res) => {
+  try {
+    if (req.user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este email já foi verificado'
+      });
+    }
+
+    await sendVerificationEmail(req.user);
+
+    res.status(200).json({
+      success: true,
+      message: 'Email de verificação reenviado'
+    });
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao reenviar email de verificação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Request a password reset link
+ * POST /api/v1/auth/forgot-password
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email inválido'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      include: {
+        motherProfile: true,
+        collaboratorProfile: true,
+        adminProfile: true
+      }
+    });
+
+    if (user) {
+      // Per-account limit on top of the per-IP route limiter
+      const recentResets = await prisma.passwordResetToken.count({
+        where: {
+          userId: user.id,
+          createdAt: { gte: new Date(Date.now() - PASSWORD_RESET_WINDOW_MINUTES * 60 * 1000) }
+        }
+      });
+
+      if (recentResets < PASSWORD_RESET_MAX_PER_WINDOW) {
+        const token = generateOpaqueToken(32);
+
+        // Only the latest link stays valid
+        await prisma.passwordResetToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        });
+
+        await prisma.passwordResetToken.create({
+          data: {
+            userId: user.id,
+            tokenHash: hashToken(token),
+            expiresAt: new Date(Date.now() + PASSWORD_RESET_EXPIRES_MINUTES * 60 * 1000)
+          }
+        });
+
+        // Not awaited so response time does not reveal whether the email exists
+        sendMail({
+          to: user.email,
+          ...passwordResetEmail(getDisplayName(user), token, PASSWORD_RESET_EXPIRES_MINUTES)
+        }).catch((mailError) => console.error('Send password reset email error:', mailError));
+      }
+    }
+
+    // Same response whether or not the email exists (or the limit was hit)
+    res.status(200).json({
+      success: true,
+      message: 'Se o email estiver cadastrado, você receberá um link para redefinir sua senha'
+    });
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao solicitar redefinição de senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Reset password with a one-time token
+ * POST /api/v1/auth/reset-password
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['token', 'password']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    if (!isValidPassword(password)) {
+      return res.status(400).json({
+        success: false,
+        message: 'A senha deve ter pelo menos 6 caracteres'
+      });
+    }
+
+    const resetToken = await prisma.passwordResetToken.findUnique({
+      where: { tokenHash: hashToken(token) }
+    });
+
+    if (!resetToken || resetToken.usedAt || resetToken.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de redefinição inválido ou expirado'
+      });
+    }
+
+    // Consume the token atomically so it cannot be used twice
+    const { count } = await prisma.passwordResetToken.updateMany({
+      where: { id: resetToken.id, usedAt: null },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de redefinição inválido ou expirado'
+      });
+    }
+
+    const passwordHash = await bcrypt.hash(password, 10);
+
+    // A successful reset also clears any login lockout
+    await prisma.user.update({
+      where: { id: resetToken.userId },
+      data: {
+        passwordHash,
+        failedLoginAttempts: 0,
+        lastFailedLoginAt: null,
+        lockedUntil: null
+      }
+    });
+
+    // Log out every device
+    await revokeUserSessions(resetToken.userId);
+
+    await recordAudit(req, {
+      action: 'user.reset_password',
+      actorUserId: resetToken.userId,
+      targetType: 'User',
+      targetId: resetToken.userId
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Senha redefinida com sucesso. Faça login novamente'
+    });
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao redefinir senha',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Email a single-use passwordless login link
+ * POST /api/v1/auth/magic-link
+ */
+export const requestMagicLink = async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email || !isValidEmail(email)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Email inválido'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { email },
+      include: {
+        motherProfile: true,
+        collaboratorProfile: true,
+        adminProfile: true
+      }
+    });
+
+    if (user) {
+      // Per-account limit on top of the per-IP route limiter
+      const recentLinks = await prisma.magicLinkToken.count({
+        where: {
+          userId: user.id,
+          createdAt: { gte: new Date(Date.now() - MAGIC_LINK_WINDOW_MINUTES * 60 * 1000) }
+        }
+      });
+
+      if (recentLinks < MAGIC_LINK_MAX_PER_WINDOW) {
+        // Only the latest link stays valid
+        await prisma.magicLinkToken.updateMany({
+          where: { userId: user.id, usedAt: null },
+          data: { usedAt: new Date() }
+        });
+
+        const link = await prisma.magicLinkToken.create({
+          data: {
+            userId: user.id,
+            ipAddress: req.ip,
+            expiresAt: new Date(Date.now() + MAGIC_LINK_EXPIRES_MINUTES * 60 * 1000)
+          }
+        });
+
+        const token = generatePurposeToken('magic_link', {
+          userId: user.id,
+          linkId: link.id
+        }, MAGIC_LINK_EXPIRES_MINUTES * 60);
+
+        // Not awaited so response time does not reveal whether the email exists
+        sendMail({
+          to: user.email,
+          ...magicLinkEmail(getDisplayName(user), token, MAGIC_LINK_EXPIRES_MINUTES)
+        }).catch((mailError) => console.error('Send magic link email error:', mailError));
+      }
+    }
+
+    // Same response whether or not the email exists (or the limit was hit)
+    res.status(200).json({
+      success: true,
+      message: 'Se o email estiver cadastrado, você receberá um link de acesso'
+    });
+  } catch (error) {
+    console.error('Request magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao solicitar link de acesso',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Exchange a magic link for the same payload as login
+ * POST /api/v1/auth/magic-link/verify
+ */
+export const verifyMagicLink = async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token é obrigatório'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('magic_link', token);
+    } catch (tokenError) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de acesso inválido ou expirado'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: {
+        motherProfile: {
+          include: {
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
+          }
+        },
+        collaboratorProfile: true,
+        adminProfile: true
+      }
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de acesso inválido ou expirado'
+      });
+    }
+
+    const attempt = {
+      email: user.email,
+      userId: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // A locked account stays locked, whatever the login method
+    const accountThrottle = checkAccountThrottle(user);
+    if (accountThrottle.locked) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'locked' });
+      res.set('Retry-After', String(accountThrottle.retryAfter));
+      return res.status(423).json({
+        success: false,
+        message: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde',
+        retryAfter: accountThrottle.retryAfter
+      });
+    }
+
+    // Atomically claim the link so it can only be used once
+    const { count } = await prisma.magicLinkToken.updateMany({
+      where: {
+        id: decoded.linkId,
+        userId: user.id,
+        usedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      data: { usedAt: new Date() }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Link de acesso inválido ou já utilizado'
+      });
+    }
+
+    // Opening the link proves ownership of the email
+    if (!user.isVerified) {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { isVerified: true }
+      });
+      user.isVerified = true;
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt({ ...attempt, success: true, reason: 'magic_link' });
+
+    await sendAuthResponse(req, res, user, {
+      message: 'Login realizado com sucesso',
+      method: 'magic_link'
+    });
+  } catch (error) {
+    console.error('Verify magic link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao entrar com link de acesso',
       error: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
@@ -218,7 +955,9 @@ export const getCurrentUser = async (req, res) => {
       include: {
         motherProfile: {
           include: {
-            pregnancy: true
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
           }
         },
         collaboratorProfile: true,
@@ -233,11 +972,22 @@ export const getCurrentUser = async (req, res) => {
       });
     }
 
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    const userWithoutPassword = sanitizeUser(user);
 
     res.status(200).json({
       success: true,
-      data: userWithoutPassword
+      data: {
+        ...userWithoutPassword,
+        // Lets the app show a "support session" banner
+        ...(req.impersonation && {
+          impersonation: {
+            id: req.impersonation.id,
+            adminUserId: req.impersonation.adminUserId,
+            allowWrites: req.impersonation.allowWrites,
+            expiresAt: req.impersonation.expiresAt
+          }
+        })
+      }
     });
   } catch (error) {
     console.error('Get current user error:', error);
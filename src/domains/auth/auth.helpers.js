@@ -0,0 +1,86 @@
+import prisma from '../../utils/prisma.js';
+import { generatePurposeToken } from '../../utils/jwt.js';
+import { issueAuthTokens, getSessionMetadata } from '../../utils/session.js';
+import { sanitizeUser } from '../../utils/sanitize.js';
+import { isTwoFactorMandatory } from '../../utils/totp.js';
+import { recordAudit } from '../../utils/auditLog.js';
+
+const TWO_FACTOR_LOGIN_EXPIRES_IN = '5m';
+
+/**
+ * Start a session and send the standard login/register response
+ * @param {Object} req - Express request (session device metadata)
+ * @param {Object} res - Express response
+ * @param {Object} user - User with profiles included
+ * @param {Object} options - { status, message, auditAction, method }
+ */
+export const sendAuthResponse = async (req, res, user, {
+  status = 200,
+  message,
+  auditAction = 'auth.login',
+  method
+}) => {
+  // Logging in during the grace period cancels a scheduled account deletion
+  const deletionCancelled = Boolean(user.deletionScheduledAt);
+  if (deletionCancelled) {
+    user = await prisma.user.update({
+      where: { id: user.id },
+      data: { deletionRequestedAt: null, deletionScheduledAt: null },
+      include: {
+        motherProfile: {
+          include: {
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
+          }
+        },
+        collaboratorProfile: true,
+        adminProfile: true
+      }
+    });
+  }
+
+  // Generate access + refresh tokens for a new session
+  const { token, refreshToken, sessionId } = await issueAuthTokens(user, getSessionMetadata(req));
+
+  await recordAudit(req, {
+    action: auditAction,
+    actorUserId: user.id,
+    actorRole: user.role,
+    targetType: 'User',
+    targetId: user.id,
+    metadata: { method, sessionId }
+  });
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      user: sanitizeUser(user),
+      token,
+      refreshToken,
+      ...(isTwoFactorMandatory(user) && !user.twoFactorEnabled && { twoFactorSetupRequired: true }),
+      ...(deletionCancelled && { deletionCancelled: true })
+    }
+  });
+};
+
+/**
+ * Send the 2FA challenge instead of tokens (first step of a two-step login)
+ * @param {Object} res - Express response
+ * @param {Object} user
+ */
+export const sendTwoFactorChallenge = (res, user) => {
+  const twoFactorToken = generatePurposeToken('two_factor_login', {
+    userId: user.id
+  }, TWO_FACTOR_LOGIN_EXPIRES_IN);
+
+  return res.status(200).json({
+    success: true,
+    message: 'Informe o código do seu aplicativo autenticador',
+    data: {
+      requiresTwoFactor: true,
+      twoFactorToken
+    }
+  });
+};
@@ -1,16 +1,133 @@
 import express from 'express';
-import { register, login, getCurrentUser } from './auth.controller.js';
+import rateLimit from 'express-rate-limit';
+import {
+  register,
+  registerWithInvite,
+  login,
+  refresh,
+  logout,
+  verifyEmail,
+  resendVerification,
+  forgotPassword,
+  resetPassword,
+  requestMagicLink,
+  verifyMagicLink,
+  getCurrentUser
+} from './auth.controller.js';
+import {
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  verifyTwoFactorLogin
+} from './twoFactor.controller.js';
+import { getProviders, startOidcLogin, finishOidcLogin } from './oidc.controller.js';
 import { authenticate } from '../../middleware/auth.js';
 
 const router = express.Router();
 
+// Stricter per-IP limit for endpoints that send email
+const magicLinkLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.MAGIC_LINK_MAX_REQUESTS_PER_IP) || 10,
+  message: {
+    success: false,
+    message: 'Muitos pedidos de link de acesso. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+const passwordResetLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PASSWORD_RESET_MAX_REQUESTS_PER_IP) || 10,
+  message: {
+    success: false,
+    message: 'Muitos pedidos de redefinição de senha. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
+// Verification emails go to the signed-in account, so they are limited per user
+const verificationEmailLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.VERIFICATION_EMAIL_MAX_PER_WINDOW) || 3,
+  keyGenerator: (req) => req.userId,
+  message: {
+    success: false,
+    message: 'Muitos pedidos de email de verificação. Tente novamente em alguns minutos.'
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+
 // POST /api/v1/auth/register
 router.post('/register', register);
 
+// POST /api/v1/auth/register/invite
+router.post('/register/invite', registerWithInvite);
+
 // POST /api/v1/auth/login
 router.post('/login', login);
 
+// POST /api/v1/auth/refresh
+router.post('/refresh', refresh);
+
+// POST /api/v1/auth/logout
+router.post('/logout', logout);
+
+// POST /api/v1/auth/verify-email
+router.post('/verify-email', verifyEmail);
+
+// POST /api/v1/auth/resend-verification (protected)
+router.post('/resend-verification', authenticate, verificationEmailLimiter, resendVerification);
+
+// POST /api/v1/auth/forgot-password
+router.post('/forgot-password', passwordResetLimiter, forgotPassword);
+
+// POST /api/v1/auth/reset-password
+router.post('/reset-password', resetPassword);
+
+// POST /api/v1/auth/magic-link
+router.post('/magic-link', magicLinkLimiter, requestMagicLink);
+
+// POST /api/v1/auth/magic-link/verify
+router.post('/magic-link/verify', magicLinkLimiter, verifyMagicLink);
+
 // GET /api/v1/auth/me (protected)
 router.get('/me', authenticate, getCurrentUser);
 
+// ============================================================================
+// SOCIAL LOGIN (OIDC)
+// ============================================================================
+
+// GET /api/v1/auth/oidc/providers
+router.get('/oidc/providers', getProviders);
+
+// POST /api/v1/auth/oidc/:provider/start
+router.post('/oidc/:provider/start', startOidcLogin);
+
+// POST /api/v1/auth/oidc/:provider/callback
+router.post('/oidc/:provider/callback', finishOidcLogin);
+
+// ============================================================================
+// TWO-FACTOR AUTHENTICATION
+// ============================================================================
+
+// POST /api/v1/auth/2fa/verify (second login step)
+router.post('/2fa/verify', verifyTwoFactorLogin);
+
+// POST /api/v1/auth/2fa/setup (protected)
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+
+// POST /api/v1/auth/2fa/enable (protected)
+router.post('/2fa/enable', authenticate, enableTwoFactor);
+
+// POST /api/v1/auth/2fa/disable (protected)
+router.post('/2fa/disable', authenticate, disableTwoFactor);
+
+// POST /api/v1/auth/2fa/recovery-codes (protected)
+router.post('/2fa/recovery-codes', authenticate, regenerateRecoveryCodes);
+
 export default router;
@@ -0,0 +1,281 @@
+import prisma from '../../utils/prisma.js';
+import {
+  getEnabledProviders,
+  getProviderConfig,
+  createAuthorizationRequest,
+  exchangeAuthorizationCode
+} from '../../utils/oidc.js';
+import { checkAccountThrottle, recordLoginAttempt } from '../../utils/loginProtection.js';
+import { sendAuthResponse, sendTwoFactorChallenge } from './auth.helpers.js';
+
+const OIDC_REQUEST_EXPIRES_MINUTES = 10;
+
+const userInclude = {
+  motherProfile: {
+    include: {
+      pregnancies: {
+        where: { status: 'ACTIVE' }
+      }
+    }
+  },
+  collaboratorProfile: true,
+  adminProfile: true
+};
+
+/**
+ * Send an OIDC error with its own status, anything else as 500
+ * @param {Object} res - Express response
+ * @param {Error} error
+ * @param {string} message - Fallback message for unexpected errors
+ */
+const handleOidcError = (res, error, message) => {
+  if (error.name === 'OidcError') {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message
+    });
+  }
+
+  res.status(500).json({
+    success: false,
+    message,
+    error: process.env.NODE_ENV === 'development' ? error.message : undefined
+  });
+};
+
+/**
+ * Find the user behind a provider identity, without writing anything
+ * @param {string} provider
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object|null>} { user, linked } (user null when the identity is new),
+ *   or null if the email is not verified
+ */
+const findIdentityUser = async (provider, claims) => {
+  const linked = await prisma.oAuthAccount.findUnique({
+    where: { provider_subject: { provider, subject: claims.sub } },
+    include: { user: { include: userInclude } }
+  });
+
+  if (linked) {
+    return { user: linked.user, linked: true };
+  }
+
+  // Apple sends email_verified as a string
+  const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+
+  if (!claims.email || !emailVerified) {
+    return null;
+  }
+
+  const existingUser = await prisma.user.findUnique({
+    where: { email: claims.email },
+    include: userInclude
+  });
+
+  return { user: existingUser, linked: false };
+};
+
+/**
+ * Link a provider identity to an existing user, or create a mother account for it
+ * @param {string} provider
+ * @param {Object} claims - Verified ID token claims
+ * @param {Object|null} existingUser - User with the same verified email
+ * @returns {Promise<Object>} User
+ */
+const linkOrCreateUser = (provider, claims, existingUser) => {
+  if (existingUser) {
+    // Link by verified email; the provider vouches for the address
+    return prisma.user.update({
+      where: { id: existingUser.id },
+      data: {
+        isVerified: true,
+        oauthAccounts: {
+          create: { provider, subject: claims.sub, email: claims.email }
+        }
+      },
+      include: userInclude
+    });
+  }
+
+  return prisma.user.create({
+    data: {
+      email: claims.email,
+      passwordHash: null,
+      role: 'MOTHER',
+      isVerified: true,
+      motherProfile: {
+        create: {
+          fullName: claims.name || claims.given_name || claims.email.split('@')[0],
+          avatar: claims.picture || null,
+          onboardingDone: false
+        }
+      },
+      oauthAccounts: {
+        create: { provider, subject: claims.sub, email: claims.email }
+      }
+    },
+    include: userInclude
+  });
+};
+
+/**
+ * List enabled social login providers
+ * GET /api/v1/auth/oidc/providers
+ */
+export const getProviders = async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getEnabledProviders()
+  });
+};
+
+/**
+ * Start social login (returns the provider authorization URL)
+ * POST /api/v1/auth/oidc/:provider/start
+ */
+export const startOidcLogin = async (req, res) => {
+  try {
+    const config = getProviderConfig(req.params.provider);
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provedor de login não disponível'
+      });
+    }
+
+    const request = await createAuthorizationRequest(config);
+
+    // Drop abandoned requests
+    await prisma.oidcAuthRequest.deleteMany({
+      where: { expiresAt: { lt: new Date() } }
+    });
+
+    await prisma.oidcAuthRequest.create({
+      data: {
+        state: request.state,
+        provider: config.name,
+        nonce: request.nonce,
+        codeVerifier: request.codeVerifier,
+        redirectUri: config.redirectUri,
+        expiresAt: new Date(Date.now() + OIDC_REQUEST_EXPIRES_MINUTES * 60 * 1000)
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        authorizationUrl: request.authorizationUrl,
+        state: request.state
+      }
+    });
+  } catch (error) {
+    console.error('Start OIDC login error:', error);
+    handleOidcError(res, error, 'Erro ao iniciar login social');
+  }
+};
+
+/**
+ * Finish social login (exchange the authorization code)
+ * POST /api/v1/auth/oidc/:provider/callback
+ */
+export const finishOidcLogin = async (req, res) => {
+  try {
+    const { code, state } = req.body;
+    const config = getProviderConfig(req.params.provider);
+
+    if (!config) {
+      return res.status(404).json({
+        success: false,
+        message: 'Provedor de login não disponível'
+      });
+    }
+
+    if (!code || !state) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código e state são obrigatórios'
+      });
+    }
+
+    const authRequest = await prisma.oidcAuthRequest.findUnique({
+      where: { state }
+    });
+
+    if (!authRequest || authRequest.provider !== config.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessão de login inválida. Tente novamente'
+      });
+    }
+
+    // Single use: a replayed callback loses the race for the row
+    const { count } = await prisma.oidcAuthRequest.deleteMany({
+      where: { id: authRequest.id, provider: config.name }
+    });
+
+    if (count === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessão de login inválida. Tente novamente'
+      });
+    }
+
+    if (authRequest.expiresAt <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Sessão de login expirada. Tente novamente'
+      });
+    }
+
+    const claims = await exchangeAuthorizationCode(
+      { ...config, redirectUri: authRequest.redirectUri },
+      { code, codeVerifier: authRequest.codeVerifier, nonce: authRequest.nonce }
+    );
+
+    const identity = await findIdentityUser(config.name, claims);
+
+    if (!identity) {
+      return res.status(400).json({
+        success: false,
+        message: 'Não foi possível confirmar seu email com o provedor'
+      });
+    }
+
+    // A locked account stays locked, whatever the login method; checked before
+    // the identity is linked so a locked account is left untouched
+    const accountThrottle = identity.user && checkAccountThrottle(identity.user);
+    if (accountThrottle?.locked) {
+      await recordLoginAttempt({
+        email: identity.user.email,
+        userId: identity.user.id,
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        success: false,
+        reason: 'locked'
+      });
+      res.set('Retry-After', String(accountThrottle.retryAfter));
+      return res.status(423).json({
+        success: false,
+        message: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde',
+        retryAfter: accountThrottle.retryAfter
+      });
+    }
+
+    const user = identity.linked
+      ? identity.user
+      : await linkOrCreateUser(config.name, claims, identity.user);
+
+    if (user.twoFactorEnabled) {
+      return sendTwoFactorChallenge(res, user);
+    }
+
+    await sendAuthResponse(req, res, user, {
+      message: 'Login realizado com sucesso',
+      method: `oidc:${config.name}`
+    });
+  } catch (error) {
+    console.error('Finish OIDC login error:', error);
+    handleOidcError(res, error, 'Erro ao concluir login social');
+  }
+};
@@ -0,0 +1,394 @@
+import bcrypt from 'bcryptjs';
+import prisma from '../../utils/prisma.js';
+import { verifyPurposeToken } from '../../utils/jwt.js';
+import { hashToken } from '../../utils/tokens.js';
+import {
+  generateTotpSecret,
+  buildProvisioningUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  normalizeRecoveryCode,
+  isTwoFactorMandatory
+} from '../../utils/totp.js';
+import {
+  checkAccountThrottle,
+  recordLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins
+} from '../../utils/loginProtection.js';
+import { sendAuthResponse } from './auth.helpers.js';
+
+/**
+ * Replace the user's recovery codes with a fresh set
+ * @param {string} userId
+ * @returns {Promise<Array<string>>} Plain codes (shown to the user once)
+ */
+const replaceRecoveryCodes = async (userId) => {
+  const codes = generateRecoveryCodes();
+
+  await prisma.$transaction([
+    prisma.twoFactorRecoveryCode.deleteMany({ where: { userId } }),
+    prisma.twoFactorRecoveryCode.createMany({
+      data: codes.map(code => ({ userId, codeHash: hashToken(normalizeRecoveryCode(code)) }))
+    })
+  ]);
+
+  return codes;
+};
+
+/**
+ * Check a TOTP code against the user's active secret and remember the step
+ * @param {Object} user
+ * @param {string} code
+ * @returns {Promise<boolean>}
+ */
+const checkTotpCode = async (user, code) => {
+  if (!code || !user.twoFactorSecret) {
+    return false;
+  }
+
+  const step = verifyTotp(decryptSecret(user.twoFactorSecret), code, user.twoFactorLastUsedStep ?? -1);
+
+  if (step === null) {
+    return false;
+  }
+
+  // Claim the step only if no request used it (or a later one) meanwhile
+  const { count } = await prisma.user.updateMany({
+    where: {
+      id: user.id,
+      OR: [
+        { twoFactorLastUsedStep: null },
+        { twoFactorLastUsedStep: { lt: step } }
+      ]
+    },
+    data: { twoFactorLastUsedStep: step }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Consume a recovery code (single use)
+ * @param {Object} user
+ * @param {string} recoveryCode
+ * @returns {Promise<boolean>}
+ */
+const consumeRecoveryCode = async (user, recoveryCode) => {
+  if (!recoveryCode) {
+    return false;
+  }
+
+  const { count } = await prisma.twoFactorRecoveryCode.updateMany({
+    where: {
+      userId: user.id,
+      codeHash: hashToken(normalizeRecoveryCode(recoveryCode)),
+      usedAt: null
+    },
+    data: { usedAt: new Date() }
+  });
+
+  return count > 0;
+};
+
+/**
+ * Start 2FA enrolment (generate secret + provisioning URI)
+ * POST /api/v1/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    if (req.user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'A autenticação em dois fatores já está ativada'
+      });
+    }
+
+    const secret = generateTotpSecret();
+
+    // Pending until confirmed with a valid code
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: {
+        twoFactorSecret: encryptSecret(secret),
+        twoFactorLastUsedStep: null
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Escaneie o QR code no seu aplicativo autenticador e confirme com um código',
+      data: {
+        secret,
+        otpauthUri: buildProvisioningUri(secret, req.user.email)
+      }
+    });
+  } catch (error) {
+    console.error('Setup 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao configurar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Confirm enrolment with a TOTP code and receive recovery codes
+ * POST /api/v1/auth/2fa/enable
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (req.user.twoFactorEnabled) {
+      return res.status(409).json({
+        success: false,
+        message: 'A autenticação em dois fatores já está ativada'
+      });
+    }
+
+    if (!req.user.twoFactorSecret) {
+      return res.status(400).json({
+        success: false,
+        message: 'Inicie a configuração antes de ativar'
+      });
+    }
+
+    if (!(await checkTotpCode(req.user, code))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: { twoFactorEnabled: true }
+    });
+
+    const recoveryCodes = await replaceRecoveryCodes(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticação em dois fatores ativada. Guarde seus códigos de recuperação',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Enable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao ativar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Disable 2FA (requires password and a code)
+ * POST /api/v1/auth/2fa/disable
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'A autenticação em dois fatores não está ativada'
+      });
+    }
+
+    if (isTwoFactorMandatory(req.user)) {
+      return res.status(403).json({
+        success: false,
+        message: 'A autenticação em dois fatores é obrigatória para administradores'
+      });
+    }
+
+    // Social-only accounts have no password to confirm
+    const isPasswordValid = !req.user.passwordHash
+      || (password && await bcrypt.compare(password, req.user.passwordHash));
+    const isSecondFactorValid = await checkTotpCode(req.user, code)
+      || await consumeRecoveryCode(req.user, recoveryCode);
+
+    if (!isPasswordValid || !isSecondFactorValid) {
+      return res.status(401).json({
+        success: false,
+        message: 'Senha ou código inválido'
+      });
+    }
+
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: req.userId },
+        data: {
+          twoFactorEnabled: false,
+          twoFactorSecret: null,
+          twoFactorLastUsedStep: null
+        }
+      }),
+      prisma.twoFactorRecoveryCode.deleteMany({ where: { userId: req.userId } })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'Autenticação em dois fatores desativada'
+    });
+  } catch (error) {
+    console.error('Disable 2FA error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao desativar autenticação em dois fatores',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Regenerate recovery codes (invalidates the previous set)
+ * POST /api/v1/auth/2fa/recovery-codes
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.twoFactorEnabled) {
+      return res.status(400).json({
+        success: false,
+        message: 'A autenticação em dois fatores não está ativada'
+      });
+    }
+
+    if (!(await checkTotpCode(req.user, code))) {
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    const recoveryCodes = await replaceRecoveryCodes(req.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Novos códigos de recuperação gerados',
+      data: { recoveryCodes }
+    });
+  } catch (error) {
+    console.error('Regenerate recovery codes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar códigos de recuperação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Second login step: exchange the 2FA challenge token + code for tokens
+ * POST /api/v1/auth/2fa/verify
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { twoFactorToken, code, recoveryCode } = req.body;
+
+    if (!twoFactorToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Token de login e código são obrigatórios'
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = verifyPurposeToken('two_factor_login', twoFactorToken);
+    } catch (tokenError) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão de login expirada. Faça login novamente'
+      });
+    }
+
+    const user = await prisma.user.findUnique({
+      where: { id: decoded.userId },
+      include: {
+        motherProfile: {
+          include: {
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
+          }
+        },
+        collaboratorProfile: true,
+        adminProfile: true
+      }
+    });
+
+    if (!user || !user.twoFactorEnabled) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão de login expirada. Faça login novamente'
+      });
+    }
+
+    const attempt = {
+      email: user.email,
+      userId: user.id,
+      ipAddress: req.ip,
+      userAgent: req.get('user-agent')
+    };
+
+    // Codes count towards the same lockout as passwords
+    const accountThrottle = checkAccountThrottle(user);
+    if (accountThrottle.locked || accountThrottle.throttled) {
+      res.set('Retry-After', String(accountThrottle.retryAfter));
+      return res.status(accountThrottle.locked ? 423 : 429).json({
+        success: false,
+        message: accountThrottle.locked
+          ? 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde'
+          : 'Muitas tentativas de login. Aguarde alguns segundos',
+        retryAfter: accountThrottle.retryAfter
+      });
+    }
+
+    const isValid = code
+      ? await checkTotpCode(user, code)
+      : await consumeRecoveryCode(user, recoveryCode);
+
+    if (!isValid) {
+      await recordLoginAttempt({ ...attempt, success: false, reason: 'invalid_2fa_code' });
+      const failure = await registerFailedLogin(user, attempt.ipAddress);
+
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(423).json({
+          success: false,
+          message: 'Conta temporariamente bloqueada por excesso de tentativas. Tente novamente mais tarde',
+          retryAfter: failure.retryAfter
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: 'Código inválido'
+      });
+    }
+
+    await resetFailedLogins(user);
+    await recordLoginAttempt({ ...attempt, success: true });
+
+    await sendAuthResponse(req, res, user, {
+      message: 'Login realizado com sucesso',
+      method: code ? 'two_factor' : 'recovery_code'
+    });
+  } catch (error) {
+    console.error('Verify 2FA login error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao verificar código',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -545,3 +545,86 @@ export const addReview = async (req, res) => {
     });
   }
 };
+
+/**
+ * Get aggregate enrollment/rating stats per published class (no personal data)
+ * GET /api/v1/classes/stats
+ */
+export const getClassStats = async (req, res) => {
+  try {
+    if (!req.apiKey && !['COLLABORATOR', 'ADMIN'].includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Você não tem permissão para acessar este recurso'
+      });
+    }
+
+    const { category } = req.query;
+
+    const whereClause = {
+      isPublished: true
+    };
+
+    if (category) {
+      whereClause.category = category;
+    }
+
+    const classes = await prisma.class.findMany({
+      where: whereClause,
+      select: {
+        id: true,
+        title: true,
+        category: true,
+        difficulty: true,
+        averageRating: true,
+        reviewCount: true
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    const classIds = classes.map(c => c.id);
+
+    const [enrollmentStats, completionStats] = await Promise.all([
+      prisma.enrollment.groupBy({
+        by: ['classId'],
+        where: { classId: { in: classIds } },
+        _count: { _all: true },
+        _avg: { progress: true }
+      }),
+      prisma.enrollment.groupBy({
+        by: ['classId'],
+        where: { classId: { in: classIds }, completedAt: { not: null } },
+        _count: { _all: true }
+      })
+    ]);
+
+    const enrollmentsByClass = new Map(enrollmentStats.map(stat => [stat.classId, stat]));
+    const completionsByClass = new Map(completionStats.map(stat => [stat.classId, stat._count._all]));
+
+    const data = classes.map(c => {
+      const enrollments = enrollmentsByClass.get(c.id);
+      const totalEnrollments = enrollments?._count._all || 0;
+      const completed = completionsByClass.get(c.id) || 0;
+
+      return {
+        ...c,
+        enrollments: totalEnrollments,
+        completed,
+        completionRate: totalEnrollments > 0 ? Math.round((completed / totalEnrollments) * 100) : 0,
+        averageProgress: Math.round(enrollments?._avg.progress || 0)
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data
+    });
+  } catch (error) {
+    console.error('Get class stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar estatísticas das aulas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -7,12 +7,21 @@ import {
   getMyEnrollments,
   addVideo,
   updateWatchHistory,
-  addReview
+  addReview,
+  getClassStats
 } from './classes.controller.js';
-import { authenticate, isMother, isCollaborator } from '../../middleware/auth.js';
+import {
+  authenticate,
+  authenticateOrApiKey,
+  isMother,
+  isCollaborator
+} from '../../middleware/auth.js';
 
 const router = express.Router();
 
+// Aggregate stats (collaborator/admin token or API key with classes:read)
+router.get('/stats', authenticateOrApiKey('classes:read'), getClassStats);
+
 // Public routes
 router.get('/', getClasses);
 router.get('/:id', getClassById);
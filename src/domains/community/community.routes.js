@@ -12,7 +12,7 @@ import {
   addComment,
   toggleReaction
 } from './community.controller.js';
-import { authenticate, isMother } from '../../middleware/auth.js';
+import { authenticate, isMother, requireVerifiedEmail } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -49,13 +49,13 @@ router.get('/posts', getPosts);
 router.get('/posts/:id', getPostById);
 
 // POST /api/v1/community/posts
-router.post('/posts', isMother, createPost);
+router.post('/posts', isMother, requireVerifiedEmail, createPost);
 
 // DELETE /api/v1/community/posts/:id
 router.delete('/posts/:id', deletePost);
 
 // POST /api/v1/community/posts/:id/comments
-router.post('/posts/:id/comments', isMother, addComment);
+router.post('/posts/:id/comments', isMother, requireVerifiedEmail, addComment);
 
 // POST /api/v1/community/posts/:id/react
 router.post('/posts/:id/react', isMother, toggleReaction);
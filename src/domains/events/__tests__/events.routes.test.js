@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import express from 'express';
+
+const partner = { id: 'partner-1', name: 'Clínica Bem Nascer', isActive: true };
+
+const partnerKey = (scopes) => ({
+  id: 'key-1',
+  scopes,
+  partner,
+  collaboratorProfile: null,
+  revokedAt: null,
+  expiresAt: null,
+  lastUsedAt: new Date()
+});
+
+const prisma = {
+  apiKey: { findUnique: jest.fn(), update: jest.fn() },
+  event: {
+    create: jest.fn(async ({ data }) => ({ id: 'event-1', ...data, organizer: null, partner: { name: partner.name } }))
+  }
+};
+
+jest.unstable_mockModule('../../../utils/prisma.js', () => ({ default: prisma }));
+
+const { default: eventsRouter } = await import('../events.routes.js');
+
+const app = express();
+app.use(express.json());
+app.use('/events', eventsRouter);
+
+const eventBody = {
+  title: 'Roda de gestantes',
+  description: 'Encontro mensal com a equipe da clínica',
+  type: 'ONLINE',
+  category: 'Meetup',
+  startDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000).toISOString(),
+  endDate: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000 + 60 * 60 * 1000).toISOString(),
+  meetingLink: 'https://meet.example.com/roda'
+};
+
+let server;
+let baseUrl;
+
+beforeAll((done) => {
+  server = app.listen(0, () => {
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+    done();
+  });
+});
+
+afterAll((done) => {
+  server.close(done);
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+const postEvent = (key) => fetch(`${baseUrl}/events`, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'X-API-Key': key },
+  body: JSON.stringify(eventBody)
+});
+
+describe('POST /events with a partner API key', () => {
+  test('creates an unpublished event organized by the partner', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(partnerKey(['events:write']));
+
+    const response = await postEvent('mk_partner_key');
+    const body = await response.json();
+
+    expect(response.status).toBe(201);
+    expect(prisma.event.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({
+        title: eventBody.title,
+        organizerId: null,
+        partnerId: partner.id,
+        isPublished: false
+      })
+    }));
+    expect(body.data.partner).toEqual({ name: partner.name });
+  });
+
+  test('needs the events:write scope', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue(partnerKey(['classes:read']));
+
+    const response = await postEvent('mk_partner_key');
+
+    expect(response.status).toBe(403);
+    expect(prisma.event.create).not.toHaveBeenCalled();
+  });
+
+  test('rejects keys of inactive partners', async () => {
+    prisma.apiKey.findUnique.mockResolvedValue({ ...partnerKey(['events:write']), partner: { ...partner, isActive: false } });
+
+    const response = await postEvent('mk_partner_key');
+
+    expect(response.status).toBe(401);
+    expect(prisma.event.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('POST /events with a collaborator API key', () => {
+  test('creates the event for the collaborator who owns the key', async () => {
+    const collaboratorProfile = { id: 'collaborator-1', user: { id: 'user-1', role: 'COLLABORATOR' } };
+    collaboratorProfile.user.collaboratorProfile = { id: collaboratorProfile.id };
+
+    prisma.apiKey.findUnique.mockResolvedValue({ ...partnerKey(['events:write']), partner: null, collaboratorProfile });
+
+    const response = await postEvent('mk_collaborator_key');
+
+    expect(response.status).toBe(201);
+    expect(prisma.event.create).toHaveBeenCalledWith(expect.objectContaining({
+      data: expect.objectContaining({ organizerId: 'collaborator-1', partnerId: null })
+    }));
+  });
+});
@@ -41,6 +41,9 @@ export const getEvents = async (req, res) => {
             profession: true
           }
         },
+        partner: {
+          select: { name: true }
+        },
         _count: {
           select: {
             registrations: {
@@ -87,6 +90,9 @@ export const getEventById = async (req, res) => {
             bio: true
           }
         },
+        partner: {
+          select: { name: true }
+        },
         _count: {
           select: {
             registrations: {
@@ -140,15 +146,18 @@ export const getEventById = async (req, res) => {
 };
 
 /**
- * Create new event (Collaborator only)
+ * Create new event (collaborator, or a partner through its API key)
  * POST /api/v1/events
  */
 export const createEvent = async (req, res) => {
   try {
-    if (req.user.role !== 'COLLABORATOR') {
+    // Partner keys have no user: the partner itself organizes the event
+    const partner = req.user ? null : req.apiKey?.partner;
+
+    if (!partner && req.user?.role !== 'COLLABORATOR') {
       return res.status(403).json({
         success: false,
-        message: 'Apenas colaboradores podem criar eventos'
+        message: 'Apenas colaboradores e parceiros podem criar eventos'
       });
     }
 
@@ -235,7 +244,8 @@ export const createEvent = async (req, res) => {
         isFree: isFree !== false,
         price: price || 0,
         coverImage,
-        organizerId: req.user.collaboratorProfile.id,
+        organizerId: partner ? null : req.user.collaboratorProfile.id,
+        partnerId: partner ? partner.id : null,
         isPublished: false
       },
       include: {
@@ -244,6 +254,9 @@ export const createEvent = async (req, res) => {
             fullName: true,
             profession: true
           }
+        },
+        partner: {
+          select: { name: true }
         }
       }
     });
@@ -446,6 +459,9 @@ export const getMyRegistrations = async (req, res) => {
                 fullName: true,
                 avatar: true
               }
+            },
+            partner: {
+              select: { name: true }
             }
           }
         }
@@ -7,7 +7,12 @@ import {
   cancelRegistration,
   getMyRegistrations
 } from './events.controller.js';
-import { authenticate, isMother, isCollaborator } from '../../middleware/auth.js';
+import {
+  authenticate,
+  authenticateOrApiKey,
+  isMother,
+  isCollaboratorOrPartner
+} from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -15,6 +20,9 @@ const router = express.Router();
 router.get('/', getEvents);
 router.get('/:id', getEventById);
 
+// Collaborator and partner routes (user token or API key with events:write)
+router.post('/', authenticateOrApiKey('events:write'), isCollaboratorOrPartner, createEvent);
+
 // Protected routes
 router.use(authenticate);
 
@@ -23,7 +31,4 @@ router.post('/:id/register', isMother, registerForEvent);
 router.delete('/:id/register', isMother, cancelRegistration);
 router.get('/my/registrations', isMother, getMyRegistrations);
 
-// Collaborator routes
-router.post('/', isCollaborator, createEvent);
-
 export default router;
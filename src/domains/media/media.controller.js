@@ -1,5 +1,6 @@
 import prisma from '../../utils/prisma.js';
 import { v2 as cloudinary } from 'cloudinary';
+import { recordAudit } from '../../utils/auditLog.js';
 
 // Configure Cloudinary
 cloudinary.config({
@@ -90,6 +91,13 @@ export const deleteMedia = async (req, res) => {
       where: { id: media.id }
     });
 
+    await recordAudit(req, {
+      action: 'media.delete',
+      targetType: 'Media',
+      targetId: media.id,
+      before: media
+    });
+
     res.status(200).json({
       success: true,
       message: 'Mídia deletada com sucesso'
@@ -0,0 +1,431 @@
+import prisma from '../../utils/prisma.js';
+import { validateRequiredFields, validateSymptomLog } from '../../utils/validation.js';
+import { findOwnPregnancy } from '../pregnancy/pregnancy.helpers.js';
+import { POSTPARTUM_MAX_WEEK, findPostpartumPregnancy } from './postpartum.helpers.js';
+
+const MIN_BIRTH_WEIGHT_GRAMS = 200;
+const MAX_BIRTH_WEIGHT_GRAMS = 7000;
+
+/**
+ * Validate baby fields shared by create and update
+ * @param {Object} body - { birthDate, birthWeightGrams }
+ * @returns {string|null} Error message or null when valid
+ */
+const validateBabyFields = ({ birthDate, birthWeightGrams }) => {
+  if (birthDate !== undefined) {
+    const date = new Date(birthDate);
+    if (isNaN(date.getTime()) || date > new Date()) {
+      return 'Data de nascimento inválida';
+    }
+  }
+
+  if (birthWeightGrams !== undefined && birthWeightGrams !== null) {
+    const weight = parseInt(birthWeightGrams);
+    if (!(weight >= MIN_BIRTH_WEIGHT_GRAMS && weight <= MAX_BIRTH_WEIGHT_GRAMS)) {
+      return `Peso ao nascer inválido. Informe em gramas (entre ${MIN_BIRTH_WEIGHT_GRAMS} e ${MAX_BIRTH_WEIGHT_GRAMS})`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Find a baby that belongs to the authenticated mother
+ * @param {string} id - Baby ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+const findOwnBaby = (id, userId) => {
+  return prisma.baby.findFirst({
+    where: {
+      id,
+      motherProfile: { userId }
+    }
+  });
+};
+
+/**
+ * Get postpartum overview: weeks since birth, babies, weekly content, recent logs
+ * GET /api/v1/postpartum/current
+ */
+export const getCurrentPostpartum = async (req, res) => {
+  try {
+    const pregnancy = await findPostpartumPregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum pós-parto em acompanhamento. Marque a gravidez como concluída para começar'
+      });
+    }
+
+    const [babies, weeklyContent, recentLogs] = await Promise.all([
+      prisma.baby.findMany({
+        where: {
+          motherProfile: { userId: req.userId },
+          pregnancyId: pregnancy.id
+        },
+        orderBy: { birthDate: 'asc' }
+      }),
+      prisma.postpartumWeeklyContent.findUnique({
+        where: { week: pregnancy.postpartumAge.currentWeek }
+      }),
+      prisma.postpartumLog.findMany({
+        where: {
+          motherProfile: { userId: req.userId },
+          pregnancyId: pregnancy.id
+        },
+        orderBy: { loggedAt: 'desc' },
+        take: 10
+      })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pregnancy,
+        postpartumAge: pregnancy.postpartumAge,
+        babies,
+        weeklyContent,
+        recentLogs
+      }
+    });
+  } catch (error) {
+    console.error('Get current postpartum error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar acompanhamento pós-parto',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List the mother's babies
+ * GET /api/v1/postpartum/babies
+ */
+export const getBabies = async (req, res) => {
+  try {
+    const babies = await prisma.baby.findMany({
+      where: {
+        motherProfile: { userId: req.userId }
+      },
+      orderBy: { birthDate: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: babies
+    });
+  } catch (error) {
+    console.error('Get babies error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar bebês',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a baby profile (linked to the completed pregnancy by default)
+ * POST /api/v1/postpartum/babies
+ */
+export const createBaby = async (req, res) => {
+  try {
+    const { name, birthDate, birthWeightGrams, pregnancyId } = req.body;
+
+    const { valid, missing } = validateRequiredFields(req.body, ['name', 'birthDate']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    const validationError = validateBabyFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    let pregnancy;
+    if (pregnancyId) {
+      pregnancy = await findOwnPregnancy(req.userId, pregnancyId);
+      if (!pregnancy) {
+        return res.status(404).json({
+          success: false,
+          message: 'Gravidez não encontrada'
+        });
+      }
+      if (pregnancy.status !== 'COMPLETED') {
+        return res.status(400).json({
+          success: false,
+          message: 'Bebês só podem ser vinculados a uma gravidez concluída'
+        });
+      }
+    } else {
+      pregnancy = await findPostpartumPregnancy(req.userId);
+    }
+
+    const motherProfile = await prisma.motherProfile.findUnique({
+      where: { userId: req.userId }
+    });
+
+    const baby = await prisma.baby.create({
+      data: {
+        motherProfileId: motherProfile.id,
+        pregnancyId: pregnancy?.id || null,
+        name: String(name).trim(),
+        birthDate: new Date(birthDate),
+        birthWeightGrams: birthWeightGrams ? parseInt(birthWeightGrams) : null
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Bebê cadastrado com sucesso',
+      data: baby
+    });
+  } catch (error) {
+    console.error('Create baby error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao cadastrar bebê',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a baby profile
+ * PUT /api/v1/postpartum/babies/:id
+ */
+export const updateBaby = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name, birthDate, birthWeightGrams } = req.body;
+
+    const baby = await findOwnBaby(id, req.userId);
+
+    if (!baby) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bebê não encontrado'
+      });
+    }
+
+    const validationError = validateBabyFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const updateData = {};
+
+    if (name !== undefined) {
+      if (!String(name).trim()) {
+        return res.status(400).json({
+          success: false,
+          message: 'O nome do bebê é obrigatório'
+        });
+      }
+      updateData.name = String(name).trim();
+    }
+
+    if (birthDate !== undefined) {
+      updateData.birthDate = new Date(birthDate);
+    }
+
+    if (birthWeightGrams !== undefined) {
+      updateData.birthWeightGrams = birthWeightGrams ? parseInt(birthWeightGrams) : null;
+    }
+
+    const updatedBaby = await prisma.baby.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bebê atualizado com sucesso',
+      data: updatedBaby
+    });
+  } catch (error) {
+    console.error('Update baby error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar bebê',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a baby profile
+ * DELETE /api/v1/postpartum/babies/:id
+ */
+export const deleteBaby = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const baby = await findOwnBaby(id, req.userId);
+
+    if (!baby) {
+      return res.status(404).json({
+        success: false,
+        message: 'Bebê não encontrado'
+      });
+    }
+
+    await prisma.baby.delete({
+      where: { id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Bebê removido com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete baby error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover bebê',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log postpartum symptoms and mood for the current week
+ * POST /api/v1/postpartum/logs
+ */
+export const logPostpartum = async (req, res) => {
+  try {
+    const { symptoms, mood, notes } = req.body;
+
+    const validationError = validateSymptomLog(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const pregnancy = await findPostpartumPregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhum pós-parto em acompanhamento'
+      });
+    }
+
+    const log = await prisma.postpartumLog.create({
+      data: {
+        motherProfileId: pregnancy.motherProfileId,
+        pregnancyId: pregnancy.id,
+        week: pregnancy.postpartumAge.currentWeek,
+        symptoms: symptoms || [],
+        mood,
+        notes
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registro pós-parto salvo com sucesso',
+      data: log
+    });
+  } catch (error) {
+    console.error('Log postpartum error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao salvar registro pós-parto',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get postpartum logs
+ * GET /api/v1/postpartum/logs
+ */
+export const getPostpartumLogs = async (req, res) => {
+  try {
+    const { week, pregnancyId } = req.query;
+
+    const whereClause = {
+      motherProfile: { userId: req.userId }
+    };
+
+    if (pregnancyId) {
+      whereClause.pregnancyId = pregnancyId;
+    }
+
+    if (week) {
+      whereClause.week = parseInt(week);
+    }
+
+    const logs = await prisma.postpartumLog.findMany({
+      where: whereClause,
+      orderBy: { loggedAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: logs
+    });
+  } catch (error) {
+    console.error('Get postpartum logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar registros pós-parto',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get postpartum weekly content by week number
+ * GET /api/v1/postpartum/weeks/:week
+ */
+export const getPostpartumWeeklyContent = async (req, res) => {
+  try {
+    const weekNum = parseInt(req.params.week);
+
+    if (!weekNum || weekNum < 1 || weekNum > POSTPARTUM_MAX_WEEK) {
+      return res.status(400).json({
+        success: false,
+        message: `Semana inválida. Use um número entre 1 e ${POSTPARTUM_MAX_WEEK}`
+      });
+    }
+
+    const content = await prisma.postpartumWeeklyContent.findUnique({
+      where: { week: weekNum }
+    });
+
+    if (!content) {
+      return res.status(404).json({
+        success: false,
+        message: `Conteúdo pós-parto para a semana ${weekNum} não encontrado`
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: content
+    });
+  } catch (error) {
+    console.error('Get postpartum weekly content error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar conteúdo pós-parto',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
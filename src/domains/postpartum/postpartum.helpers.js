@@ -0,0 +1,60 @@
+import prisma from '../../utils/prisma.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Postpartum tracking covers the baby's first year
+export const POSTPARTUM_MAX_WEEK = 52;
+
+/**
+ * Time since delivery on a given day
+ * @param {Date|string} deliveryDate
+ * @param {Date} [now]
+ * @returns {Object} { weeks, days, totalDays, currentWeek, isFourthTrimester }
+ */
+export const getPostpartumAge = (deliveryDate, now = new Date()) => {
+  const delivery = new Date(deliveryDate);
+  const totalDays = Math.max(0, Math.floor(
+    (Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate())
+      - Date.UTC(delivery.getUTCFullYear(), delivery.getUTCMonth(), delivery.getUTCDate())) / DAY_MS
+  ));
+  const weeks = Math.floor(totalDays / 7);
+
+  return {
+    weeks,
+    days: totalDays - weeks * 7,
+    totalDays,
+    // Days 0-6 are the 1st week postpartum
+    currentWeek: Math.min(POSTPARTUM_MAX_WEEK, weeks + 1),
+    // First 12 weeks after birth
+    isFourthTrimester: weeks < 12
+  };
+};
+
+/**
+ * Find the pregnancy the mother is recovering from: her latest COMPLETED
+ * pregnancy, as long as she has not started a new one.
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Pregnancy with `deliveryDate` and `postpartumAge`, or null
+ */
+export const findPostpartumPregnancy = async (userId) => {
+  const latest = await prisma.pregnancy.findFirst({
+    where: {
+      motherProfile: { userId },
+      status: { in: ['ACTIVE', 'COMPLETED'] }
+    },
+    orderBy: { createdAt: 'desc' }
+  });
+
+  if (!latest || latest.status !== 'COMPLETED') {
+    return null;
+  }
+
+  // Pregnancies completed before deliveryDate existed fall back to endedAt
+  const deliveryDate = latest.deliveryDate || latest.endedAt || latest.updatedAt;
+
+  return {
+    ...latest,
+    deliveryDate,
+    postpartumAge: getPostpartumAge(deliveryDate)
+  };
+};
@@ -0,0 +1,43 @@
+import express from 'express';
+import {
+  getCurrentPostpartum,
+  getBabies,
+  createBaby,
+  updateBaby,
+  deleteBaby,
+  logPostpartum,
+  getPostpartumLogs,
+  getPostpartumWeeklyContent
+} from './postpartum.controller.js';
+import { authenticate, isMother } from '../../middleware/auth.js';
+
+const router = express.Router();
+
+// Public route - anyone can view postpartum weekly content
+router.get('/weeks/:week', getPostpartumWeeklyContent);
+
+// Protected routes (mothers only)
+router.use(authenticate, isMother);
+
+// GET /api/v1/postpartum/current
+router.get('/current', getCurrentPostpartum);
+
+// GET /api/v1/postpartum/babies
+router.get('/babies', getBabies);
+
+// POST /api/v1/postpartum/babies
+router.post('/babies', createBaby);
+
+// PUT /api/v1/postpartum/babies/:id
+router.put('/babies/:id', updateBaby);
+
+// DELETE /api/v1/postpartum/babies/:id
+router.delete('/babies/:id', deleteBaby);
+
+// POST /api/v1/postpartum/logs
+router.post('/logs', logPostpartum);
+
+// GET /api/v1/postpartum/logs
+router.get('/logs', getPostpartumLogs);
+
+export default router;
@@ -0,0 +1,323 @@
+import prisma from '../../utils/prisma.js';
+import { validateRequiredFields } from '../../utils/validation.js';
+import {
+  APPOINTMENT_TYPES,
+  APPOINTMENT_STATUSES,
+  RECOMMENDED_APPOINTMENTS,
+  RECOMMENDATION_KEYS,
+  getRecommendedSchedule
+} from '../../utils/prenatalSchedule.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+const APPOINTMENT_FIELDS = [
+  'type',
+  'title',
+  'scheduledAt',
+  'provider',
+  'location',
+  'notes',
+  'results',
+  'status',
+  'recommendationKey'
+];
+
+/**
+ * Validate appointment fields shared by create and update
+ * @param {Object} body
+ * @returns {string|null} Error message or null when valid
+ */
+const validateAppointmentFields = ({ type, scheduledAt, status, recommendationKey }) => {
+  if (type !== undefined && !APPOINTMENT_TYPES.includes(type)) {
+    return `Tipo de consulta inválido. Use: ${APPOINTMENT_TYPES.join(', ')}`;
+  }
+
+  if (scheduledAt !== undefined && isNaN(new Date(scheduledAt).getTime())) {
+    return 'Data da consulta inválida';
+  }
+
+  if (status !== undefined && !APPOINTMENT_STATUSES.includes(status)) {
+    return `Status inválido. Use: ${APPOINTMENT_STATUSES.join(', ')}`;
+  }
+
+  if (recommendationKey !== undefined && recommendationKey !== null && !RECOMMENDATION_KEYS.includes(recommendationKey)) {
+    return `Recomendação inválida. Use: ${RECOMMENDATION_KEYS.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Pick the appointment fields present in a request body
+ * @param {Object} body
+ * @returns {Object} Prisma data
+ */
+const pickAppointmentData = (body) => {
+  const data = {};
+
+  for (const field of APPOINTMENT_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field];
+    }
+  }
+
+  if (data.scheduledAt !== undefined) {
+    data.scheduledAt = new Date(data.scheduledAt);
+  }
+
+  return data;
+};
+
+/**
+ * Find an appointment that belongs to the mother (any pregnancy, so results
+ * can still be added after the birth)
+ * @param {string} id - PrenatalAppointment ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>}
+ */
+const findOwnAppointment = (id, userId) => {
+  return prisma.prenatalAppointment.findFirst({
+    where: {
+      id,
+      pregnancy: { motherProfile: { userId } }
+    }
+  });
+};
+
+/**
+ * Get prenatal appointments
+ * GET /api/v1/pregnancy/appointments
+ */
+export const getAppointments = async (req, res) => {
+  try {
+    const { pregnancyId, status, upcoming } = req.query;
+
+    if (status && !APPOINTMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Status inválido. Use: ${APPOINTMENT_STATUSES.join(', ')}`
+      });
+    }
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const whereClause = {
+      pregnancyId: pregnancy.id
+    };
+
+    if (status) {
+      whereClause.status = status;
+    }
+
+    if (upcoming === 'true') {
+      whereClause.status = 'SCHEDULED';
+      whereClause.scheduledAt = { gte: new Date() };
+    }
+
+    const appointments = await prisma.prenatalAppointment.findMany({
+      where: whereClause,
+      orderBy: { scheduledAt: 'asc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: appointments
+    });
+  } catch (error) {
+    console.error('Get appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar consultas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get the recommended prenatal schedule for the current gestational week
+ * GET /api/v1/pregnancy/appointments/recommended
+ */
+export const getRecommendedAppointments = async (req, res) => {
+  try {
+    const { pregnancyId } = req.query;
+
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const appointments = await prisma.prenatalAppointment.findMany({
+      where: { pregnancyId: pregnancy.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: getRecommendedSchedule(pregnancy, appointments, pregnancy.endedAt || new Date())
+    });
+  } catch (error) {
+    console.error('Get recommended appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar calendário recomendado',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add an appointment to the active pregnancy
+ * POST /api/v1/pregnancy/appointments
+ */
+export const createAppointment = async (req, res) => {
+  try {
+    const { valid, missing } = validateRequiredFields(req.body, ['type', 'scheduledAt']);
+    if (!valid) {
+      return res.status(400).json({
+        success: false,
+        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+      });
+    }
+
+    const validationError = validateAppointmentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const data = pickAppointmentData(req.body);
+
+    // Booked from a suggestion: its title unless the mother wrote one
+    if (data.recommendationKey && !data.title) {
+      data.title = RECOMMENDED_APPOINTMENTS.find(item => item.key === data.recommendationKey).title;
+    }
+
+    const appointment = await prisma.prenatalAppointment.create({
+      data: {
+        ...data,
+        pregnancyId: pregnancy.id
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Consulta adicionada com sucesso',
+      data: appointment
+    });
+  } catch (error) {
+    console.error('Create appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao adicionar consulta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update an appointment (reschedule, mark as done, add results)
+ * PUT /api/v1/pregnancy/appointments/:id
+ */
+export const updateAppointment = async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req.params.id, req.userId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consulta não encontrada'
+      });
+    }
+
+    const validationError = validateAppointmentFields(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    const data = pickAppointmentData(req.body);
+
+    // A rescheduled appointment gets a new reminder
+    if (data.scheduledAt && data.scheduledAt.getTime() !== appointment.scheduledAt.getTime()) {
+      data.reminderSentAt = null;
+    }
+
+    const updatedAppointment = await prisma.prenatalAppointment.update({
+      where: { id: appointment.id },
+      data
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Consulta atualizada com sucesso',
+      data: updatedAppointment
+    });
+  } catch (error) {
+    console.error('Update appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar consulta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete an appointment
+ * DELETE /api/v1/pregnancy/appointments/:id
+ */
+export const deleteAppointment = async (req, res) => {
+  try {
+    const appointment = await findOwnAppointment(req.params.id, req.userId);
+
+    if (!appointment) {
+      return res.status(404).json({
+        success: false,
+        message: 'Consulta não encontrada'
+      });
+    }
+
+    await prisma.prenatalAppointment.delete({
+      where: { id: appointment.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Consulta removida com sucesso'
+    });
+  } catch (error) {
+    console.error('Delete appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover consulta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
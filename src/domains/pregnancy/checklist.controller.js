@@ -0,0 +1,310 @@
+import prisma from '../../utils/prisma.js';
+import { MAX_GESTATIONAL_WEEK } from '../../utils/gestationalAge.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+/**
+ * Find a checklist item that belongs to the mother's active pregnancy
+ * @param {string} id - ChecklistItem ID
+ * @param {string} pregnancyId
+ * @returns {Promise<Object|null>}
+ */
+const findOwnItem = (id, pregnancyId) => {
+  return prisma.checklistItem.findFirst({
+    where: { id, pregnancyId }
+  });
+};
+
+/**
+ * Parse a week number for a checklist item
+ * @param {*} value
+ * @returns {number|null} Week or null when invalid
+ */
+const parseWeek = (value) => {
+  const week = parseInt(value);
+  return week >= 1 && week <= MAX_GESTATIONAL_WEEK ? week : null;
+};
+
+/**
+ * Get checklist items of the active pregnancy
+ * GET /api/v1/pregnancy/checklist
+ */
+export const getChecklist = async (req, res) => {
+  try {
+    const { week, completed, pregnancyId } = req.query;
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const whereClause = {
+      pregnancyId: pregnancy.id
+    };
+
+    if (week) {
+      whereClause.week = parseInt(week);
+    }
+
+    if (completed !== undefined) {
+      whereClause.completed = completed === 'true';
+    }
+
+    const items = await prisma.checklistItem.findMany({
+      where: whereClause,
+      orderBy: [{ week: 'asc' }, { createdAt: 'asc' }]
+    });
+
+    res.status(200).json({
+      success: true,
+      data: items
+    });
+  } catch (error) {
+    console.error('Get checklist error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Add a custom checklist item (defaults to the current week)
+ * POST /api/v1/pregnancy/checklist
+ */
+export const createChecklistItem = async (req, res) => {
+  try {
+    const { content, week } = req.body;
+
+    if (!content || !String(content).trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'O conteúdo do item é obrigatório'
+      });
+    }
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const itemWeek = week !== undefined ? parseWeek(week) : pregnancy.currentWeek;
+
+    if (!itemWeek) {
+      return res.status(400).json({
+        success: false,
+        message: `Semana inválida. Use um número entre 1 e ${MAX_GESTATIONAL_WEEK}`
+      });
+    }
+
+    const item = await prisma.checklistItem.create({
+      data: {
+        pregnancyId: pregnancy.id,
+        week: itemWeek,
+        content: String(content).trim(),
+        isTemplate: false
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Item adicionado ao checklist',
+      data: item
+    });
+  } catch (error) {
+    console.error('Create checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao adicionar item ao checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a checklist item (template items only toggle completion)
+ * PUT /api/v1/pregnancy/checklist/:id
+ */
+export const updateChecklistItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { content, week, completed } = req.body;
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const item = await findOwnItem(id, pregnancy.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item do checklist não encontrado'
+      });
+    }
+
+    const updateData = {};
+
+    if (content !== undefined || week !== undefined) {
+      if (item.isTemplate) {
+        return res.status(400).json({
+          success: false,
+          message: 'Itens sugeridos não podem ser editados, apenas marcados como concluídos'
+        });
+      }
+
+      if (content !== undefined) {
+        if (!String(content).trim()) {
+          return res.status(400).json({
+            success: false,
+            message: 'O conteúdo do item é obrigatório'
+          });
+        }
+        updateData.content = String(content).trim();
+      }
+
+      if (week !== undefined) {
+        const itemWeek = parseWeek(week);
+        if (!itemWeek) {
+          return res.status(400).json({
+            success: false,
+            message: `Semana inválida. Use um número entre 1 e ${MAX_GESTATIONAL_WEEK}`
+          });
+        }
+        updateData.week = itemWeek;
+      }
+    }
+
+    if (completed !== undefined) {
+      updateData.completed = Boolean(completed);
+      updateData.completedAt = completed ? new Date() : null;
+    }
+
+    const updatedItem = await prisma.checklistItem.update({
+      where: { id },
+      data: updateData
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item do checklist atualizado',
+      data: updatedItem
+    });
+  } catch (error) {
+    console.error('Update checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar item do checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Toggle completion of a checklist item
+ * POST /api/v1/pregnancy/checklist/:id/toggle
+ */
+export const toggleChecklistItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const item = await findOwnItem(id, pregnancy.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item do checklist não encontrado'
+      });
+    }
+
+    const updatedItem = await prisma.checklistItem.update({
+      where: { id },
+      data: {
+        completed: !item.completed,
+        completedAt: item.completed ? null : new Date()
+      }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: updatedItem.completed ? 'Item concluído' : 'Item reaberto',
+      data: updatedItem
+    });
+  } catch (error) {
+    console.error('Toggle checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar item do checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a checklist item (template items are not re-created)
+ * DELETE /api/v1/pregnancy/checklist/:id
+ */
+export const deleteChecklistItem = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const item = await findOwnItem(id, pregnancy.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: 'Item do checklist não encontrado'
+      });
+    }
+
+    await prisma.checklistItem.delete({
+      where: { id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Item removido do checklist'
+    });
+  } catch (error) {
+    console.error('Delete checklist item error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover item do checklist',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
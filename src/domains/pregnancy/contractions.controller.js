@@ -0,0 +1,488 @@
+import prisma from '../../utils/prisma.js';
+import { parseTimestamp } from '../../utils/validation.js';
+import { analyzeSession } from '../../utils/contractionPattern.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+/**
+ * Find a contraction session that belongs to the mother (any pregnancy), for
+ * reads and note edits
+ * @param {string} id - ContractionSession ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Session with contractions, oldest first
+ */
+const findOwnSession = (id, userId) => {
+  return prisma.contractionSession.findFirst({
+    where: {
+      id,
+      pregnancy: { motherProfile: { userId } }
+    },
+    include: {
+      contractions: { orderBy: { startedAt: 'asc' } }
+    }
+  });
+};
+
+/**
+ * Find a contraction session of the mother's active pregnancy, so sessions left
+ * open on an ended pregnancy stop taking new timings
+ * @param {string} id - ContractionSession ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Session with contractions, oldest first
+ */
+const findOwnActiveSession = async (id, userId) => {
+  const pregnancy = await findActivePregnancy(userId);
+
+  if (!pregnancy) {
+    return null;
+  }
+
+  return prisma.contractionSession.findFirst({
+    where: { id, pregnancyId: pregnancy.id },
+    include: {
+      contractions: { orderBy: { startedAt: 'asc' } }
+    }
+  });
+};
+
+/**
+ * Reload a session and return it analysed
+ * @param {string} id - ContractionSession ID
+ * @returns {Promise<Object>}
+ */
+const loadAnalyzedSession = async (id) => {
+  const session = await prisma.contractionSession.findUnique({
+    where: { id },
+    include: {
+      contractions: { orderBy: { startedAt: 'asc' } }
+    }
+  });
+
+  return analyzeSession(session);
+};
+
+/**
+ * Start a contraction timing session for the active pregnancy
+ * POST /api/v1/pregnancy/contractions
+ */
+export const startContractionSession = async (req, res) => {
+  try {
+    const startedAt = parseTimestamp(req.body.startedAt);
+
+    if (!startedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de início inválido'
+      });
+    }
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const openSession = await prisma.contractionSession.findFirst({
+      where: { pregnancyId: pregnancy.id, endedAt: null }
+    });
+
+    if (openSession) {
+      return res.status(409).json({
+        success: false,
+        message: 'Você já tem um registro de contrações em andamento. Encerre-o antes de começar outro',
+        data: { id: openSession.id }
+      });
+    }
+
+    const session = await prisma.contractionSession.create({
+      data: {
+        pregnancyId: pregnancy.id,
+        week: pregnancy.currentWeek,
+        startedAt,
+        notes: req.body.notes
+      },
+      include: { contractions: true }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Registro de contrações iniciado',
+      data: analyzeSession(session)
+    });
+  } catch (error) {
+    console.error('Start contraction session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao iniciar registro de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark the start of a contraction
+ * POST /api/v1/pregnancy/contractions/:id/contractions
+ */
+export const startContraction = async (req, res) => {
+  try {
+    const session = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    if (session.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este registro de contrações já foi encerrado'
+      });
+    }
+
+    const startedAt = parseTimestamp(req.body.startedAt);
+    const last = session.contractions[session.contractions.length - 1];
+
+    if (last && !last.endedAt) {
+      return res.status(409).json({
+        success: false,
+        message: 'Marque o fim da contração atual antes de começar outra',
+        data: { id: last.id }
+      });
+    }
+
+    if (!startedAt || startedAt < session.startedAt || (last && startedAt < last.endedAt)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de início da contração inválido'
+      });
+    }
+
+    await prisma.contraction.create({
+      data: {
+        sessionId: session.id,
+        startedAt
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contração iniciada',
+      data: await loadAnalyzedSession(session.id)
+    });
+  } catch (error) {
+    console.error('Start contraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar contração',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Mark the end of the ongoing contraction
+ * POST /api/v1/pregnancy/contractions/:id/contractions/end
+ */
+export const endContraction = async (req, res) => {
+  try {
+    const session = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    if (session.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este registro de contrações já foi encerrado'
+      });
+    }
+
+    const ongoing = session.contractions.find(contraction => !contraction.endedAt);
+
+    if (!ongoing) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nenhuma contração em andamento'
+      });
+    }
+
+    const endedAt = parseTimestamp(req.body.endedAt);
+
+    if (!endedAt || endedAt <= ongoing.startedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de fim da contração inválido'
+      });
+    }
+
+    await prisma.contraction.update({
+      where: { id: ongoing.id },
+      data: { endedAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contração registrada',
+      data: await loadAnalyzedSession(session.id)
+    });
+  } catch (error) {
+    console.error('End contraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar contração',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Remove a contraction recorded by mistake
+ * DELETE /api/v1/pregnancy/contractions/:id/contractions/:contractionId
+ */
+export const deleteContraction = async (req, res) => {
+  try {
+    const session = await findOwnActiveSession(req.params.id, req.userId);
+    const contraction = session?.contractions.find(item => item.id === req.params.contractionId);
+
+    if (!contraction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contração não encontrada'
+      });
+    }
+
+    await prisma.contraction.delete({
+      where: { id: contraction.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contração removida',
+      data: await loadAnalyzedSession(session.id)
+    });
+  } catch (error) {
+    console.error('Delete contraction error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover contração',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * End a contraction timing session
+ * POST /api/v1/pregnancy/contractions/:id/end
+ */
+export const endContractionSession = async (req, res) => {
+  try {
+    const session = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    if (session.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Este registro de contrações já foi encerrado'
+      });
+    }
+
+    const ongoing = session.contractions.find(contraction => !contraction.endedAt);
+
+    if (ongoing) {
+      return res.status(409).json({
+        success: false,
+        message: 'Marque o fim da contração atual antes de encerrar o registro',
+        data: { id: ongoing.id }
+      });
+    }
+
+    const endedAt = parseTimestamp(req.body.endedAt);
+    const lastEnd = session.contractions.reduce(
+      (latest, contraction) => (contraction.endedAt > latest ? contraction.endedAt : latest),
+      session.startedAt
+    );
+
+    if (!endedAt || endedAt < lastEnd) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de término inválido'
+      });
+    }
+
+    await prisma.contractionSession.update({
+      where: { id: session.id },
+      data: { endedAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registro de contrações encerrado',
+      data: await loadAnalyzedSession(session.id)
+    });
+  } catch (error) {
+    console.error('End contraction session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar registro de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update the notes of a session (also after it ended, for the review with the doula)
+ * PUT /api/v1/pregnancy/contractions/:id
+ */
+export const updateContractionSession = async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const session = await findOwnSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    await prisma.contractionSession.update({
+      where: { id: session.id },
+      data: { notes }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registro de contrações atualizado',
+      data: await loadAnalyzedSession(session.id)
+    });
+  } catch (error) {
+    console.error('Update contraction session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar registro de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * List contraction sessions with their summary (newest first)
+ * GET /api/v1/pregnancy/contractions
+ */
+export const getContractionSessions = async (req, res) => {
+  try {
+    const { pregnancyId } = req.query;
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const sessions = await prisma.contractionSession.findMany({
+      where: { pregnancyId: pregnancy.id },
+      include: {
+        contractions: { orderBy: { startedAt: 'asc' } }
+      },
+      orderBy: { startedAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => {
+        const { contractions, ...summary } = analyzeSession(session);
+        return summary;
+      })
+    });
+  } catch (error) {
+    console.error('Get contraction sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar registros de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get a contraction session with every contraction and its analysis
+ * GET /api/v1/pregnancy/contractions/:id
+ */
+export const getContractionSession = async (req, res) => {
+  try {
+    const session = await findOwnSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: analyzeSession(session)
+    });
+  } catch (error) {
+    console.error('Get contraction session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar registro de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a contraction session
+ * DELETE /api/v1/pregnancy/contractions/:id
+ */
+export const deleteContractionSession = async (req, res) => {
+  try {
+    const session = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de contrações não encontrado'
+      });
+    }
+
+    await prisma.contractionSession.delete({
+      where: { id: session.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registro de contrações removido'
+    });
+  } catch (error) {
+    console.error('Delete contraction session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover registro de contrações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -0,0 +1,263 @@
+import prisma from '../../utils/prisma.js';
+import { MAX_GESTATIONAL_WEEK, getTrimester } from '../../utils/gestationalAge.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const TOP_SYMPTOMS_LIMIT = 10;
+
+// Gaps shorter than this are routine and left out of the gap list
+const MIN_LISTED_GAP_DAYS = 3;
+
+// Platform frequencies need this many other mothers, both for the week and per symptom,
+// so free-text symptoms cannot point to a single person
+const MIN_COMPARISON_COHORT = 5;
+
+const normalize = (value) => String(value).trim().toLowerCase();
+
+/**
+ * Distinct normalized symptoms of a log (a symptom repeated in one log counts once)
+ * @param {Object} log - SymptomLog
+ * @returns {Set<string>}
+ */
+const logSymptomSet = (log) => new Set(log.symptoms.map(normalize).filter(Boolean));
+
+/**
+ * Rank symptom counts, most frequent first
+ * @param {Map<string, number>} counts
+ * @param {number} total - Number of logs the counts come from
+ * @returns {Array<Object>} [{ symptom, count, percentage }]
+ */
+const rankSymptoms = (counts, total) => {
+  return [...counts]
+    .map(([symptom, count]) => ({
+      symptom,
+      count,
+      percentage: Math.round((count / total) * 100)
+    }))
+    .sort((a, b) => b.count - a.count || a.symptom.localeCompare(b.symptom))
+    .slice(0, TOP_SYMPTOMS_LIMIT);
+};
+
+/**
+ * Symptom frequencies and mood distribution of a group of logs
+ * @param {Array<Object>} logs - SymptomLogs
+ * @returns {Object} { logCount, topSymptoms, moodDistribution }
+ */
+const summarizeLogs = (logs) => {
+  const symptomCounts = new Map();
+  const moodDistribution = {};
+
+  for (const log of logs) {
+    for (const symptom of logSymptomSet(log)) {
+      symptomCounts.set(symptom, (symptomCounts.get(symptom) || 0) + 1);
+    }
+
+    if (log.mood && log.mood.trim()) {
+      const mood = normalize(log.mood);
+      moodDistribution[mood] = (moodDistribution[mood] || 0) + 1;
+    }
+  }
+
+  return {
+    logCount: logs.length,
+    topSymptoms: rankSymptoms(symptomCounts, logs.length),
+    moodDistribution
+  };
+};
+
+/**
+ * Summarize logs per group, in ascending key order
+ * @param {Array<Object>} logs
+ * @param {Function} getKey - (log) => number
+ * @returns {Array<[number, Object]>} [key, summary] pairs
+ */
+const summarizeBy = (logs, getKey) => {
+  const groups = new Map();
+
+  for (const log of logs) {
+    const key = getKey(log);
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(log);
+  }
+
+  return [...groups]
+    .sort(([a], [b]) => a - b)
+    .map(([key, groupLogs]) => [key, summarizeLogs(groupLogs)]);
+};
+
+const toDayNumber = (value) => {
+  const date = new Date(value);
+  return Math.floor(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()) / DAY_MS);
+};
+
+const fromDayNumber = (day) => new Date(day * DAY_MS);
+
+/**
+ * Streaks of days without a log between the start of tracking and `until`
+ * @param {Array<Object>} logs - SymptomLogs
+ * @param {Date} from - Start of tracking
+ * @param {Date} until - Today, or the day the pregnancy ended
+ * @returns {Object} { trackedDays, daysLogged, currentGapDays, longestGap, gaps }
+ */
+const getLogGaps = (logs, from, until) => {
+  const firstDay = toDayNumber(from);
+  const lastDay = toDayNumber(until);
+  const loggedDays = [...new Set(logs.map(log => toDayNumber(log.loggedAt)))]
+    .filter(day => day >= firstDay && day <= lastDay)
+    .sort((a, b) => a - b);
+
+  const gaps = [];
+  let previousDay = firstDay - 1;
+
+  // The day after `until` closes the gap still open today
+  for (const day of [...loggedDays, lastDay + 1]) {
+    const days = day - previousDay - 1;
+    if (days > 0) {
+      gaps.push({ from: fromDayNumber(previousDay + 1), to: fromDayNumber(day - 1), days });
+    }
+    previousDay = day;
+  }
+
+  const lastLoggedDay = loggedDays[loggedDays.length - 1];
+  const longestGap = gaps.reduce((longest, gap) => (!longest || gap.days > longest.days ? gap : longest), null);
+
+  return {
+    trackedDays: lastDay - firstDay + 1,
+    daysLogged: loggedDays.length,
+    currentGapDays: lastLoggedDay === undefined ? lastDay - firstDay + 1 : lastDay - lastLoggedDay,
+    longestGap,
+    gaps: gaps.filter(gap => gap.days >= MIN_LISTED_GAP_DAYS)
+  };
+};
+
+/**
+ * Compare the mother's symptoms of a week with the share of other mothers
+ * who reported each symptom in that same week
+ * @param {string} pregnancyId - Pregnancy left out of the platform figures
+ * @param {number} week
+ * @param {Array<Object>} ownLogs - The mother's logs of that week
+ * @returns {Promise<Object>} { week, available, symptoms }
+ */
+const getPlatformComparison = async (pregnancyId, week, ownLogs) => {
+  // Shares of mothers rather than of logs, so frequent loggers do not skew them
+  const [{ mothers: cohortSize }] = await prisma.$queryRaw`
+    SELECT COUNT(DISTINCT "pregnancyId")::int AS mothers
+    FROM symptom_logs
+    WHERE week = ${week} AND "pregnancyId" <> ${pregnancyId}
+  `;
+
+  if (cohortSize < MIN_COMPARISON_COHORT) {
+    return { week, available: false, symptoms: [] };
+  }
+
+  // Same normalization as logSymptomSet, most reported first
+  const platformSymptoms = await prisma.$queryRaw`
+    SELECT symptom, COUNT(DISTINCT log."pregnancyId")::int AS mothers
+    FROM symptom_logs log
+    CROSS JOIN LATERAL (
+      SELECT DISTINCT lower(btrim(raw)) AS symptom FROM unnest(log.symptoms) AS raw
+    ) normalized
+    WHERE log.week = ${week} AND log."pregnancyId" <> ${pregnancyId} AND symptom <> ''
+    GROUP BY symptom
+    HAVING COUNT(DISTINCT log."pregnancyId") >= ${MIN_COMPARISON_COHORT}
+    ORDER BY mothers DESC, symptom
+  `;
+
+  const mothersBySymptom = new Map(platformSymptoms.map(row => [row.symptom, row.mothers]));
+
+  const ownCounts = new Map();
+  for (const log of ownLogs) {
+    for (const symptom of logSymptomSet(log)) {
+      ownCounts.set(symptom, (ownCounts.get(symptom) || 0) + 1);
+    }
+  }
+
+  const platformPercentage = (symptom) => {
+    const mothers = mothersBySymptom.get(symptom);
+    return mothers ? Math.round((mothers / cohortSize) * 100) : null;
+  };
+
+  const platformTop = platformSymptoms
+    .slice(0, TOP_SYMPTOMS_LIMIT)
+    .map(row => row.symptom);
+
+  const symptoms = [...new Set([...ownCounts.keys(), ...platformTop])].map(symptom => ({
+    symptom,
+    yourCount: ownCounts.get(symptom) || 0,
+    platformPercentage: platformPercentage(symptom)
+  }));
+
+  return { week, available: true, symptoms };
+};
+
+/**
+ * Get symptom and mood insights per week and trimester, with log gaps and
+ * a comparison with anonymized platform-wide frequencies
+ * GET /api/v1/pregnancy/symptoms/insights
+ */
+export const getSymptomInsights = async (req, res) => {
+  try {
+    const { pregnancyId, week } = req.query;
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const comparisonWeek = week !== undefined ? parseInt(week) : pregnancy.currentWeek;
+
+    if (!(comparisonWeek >= 1 && comparisonWeek <= MAX_GESTATIONAL_WEEK)) {
+      return res.status(400).json({
+        success: false,
+        message: `Semana inválida. Use um número entre 1 e ${MAX_GESTATIONAL_WEEK}`
+      });
+    }
+
+    const logs = await prisma.symptomLog.findMany({
+      where: { pregnancyId: pregnancy.id },
+      orderBy: { loggedAt: 'asc' }
+    });
+
+    const comparison = await getPlatformComparison(
+      pregnancy.id,
+      comparisonWeek,
+      logs.filter(log => log.week === comparisonWeek)
+    );
+
+    const { logCount, topSymptoms, moodDistribution } = summarizeLogs(logs);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        pregnancyId: pregnancy.id,
+        currentWeek: pregnancy.currentWeek,
+        totalLogs: logCount,
+        topSymptoms,
+        moodDistribution,
+        byWeek: summarizeBy(logs, log => log.week)
+          .map(([logWeek, summary]) => ({ week: logWeek, trimester: getTrimester(logWeek), ...summary })),
+        byTrimester: summarizeBy(logs, log => getTrimester(log.week))
+          .map(([trimester, summary]) => ({ trimester, ...summary })),
+        gaps: getLogGaps(logs, pregnancy.createdAt, pregnancy.endedAt || new Date()),
+        comparison
+      }
+    });
+  } catch (error) {
+    console.error('Get symptom insights error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao gerar análise de sintomas',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
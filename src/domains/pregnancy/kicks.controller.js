@@ -0,0 +1,396 @@
+import prisma from '../../utils/prisma.js';
+import { round } from '../../utils/numbers.js';
+import { parseTimestamp } from '../../utils/validation.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+// Count-to-ten: from week 28, 10 movements are expected within 2 hours
+const KICK_TARGET = 10;
+const KICK_COUNTING_START_WEEK = 28;
+const KICK_MAX_MINUTES_TO_TARGET = 120;
+
+// Sessions slower than this multiple of the mother's usual time are flagged too
+const BASELINE_FACTOR = 2;
+const BASELINE_SESSIONS = 7;
+
+const LONG_SESSION_GUIDANCE = 'O bebê está demorando mais que o normal para completar 10 movimentos. '
+  + 'Deite-se do lado esquerdo e continue contando. Se não sentir 10 movimentos em 2 horas, procure a maternidade.';
+
+const minutesBetween = (from, to) => round((new Date(to) - new Date(from)) / 60000);
+
+const median = (values) => {
+  if (values.length === 0) {
+    return null;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Minutes from the start of a session to its 10th movement
+ * @param {Object} session - KickSession
+ * @returns {number|null} Null while fewer movements were counted
+ */
+const getMinutesToTen = (session) => {
+  if (session.kickTimes.length < KICK_TARGET) {
+    return null;
+  }
+
+  const kicks = [...session.kickTimes].sort((a, b) => a - b);
+  return minutesBetween(session.startedAt, kicks[KICK_TARGET - 1]);
+};
+
+/**
+ * Usual time-to-ten of the mother: median of her latest sessions that reached 10
+ * @param {Array<Object>} sessions - Earlier KickSessions
+ * @returns {number|null}
+ */
+const getBaselineMinutes = (sessions) => {
+  return median(
+    sessions
+      .map(getMinutesToTen)
+      .filter(minutes => minutes !== null)
+      .slice(-BASELINE_SESSIONS)
+  );
+};
+
+/**
+ * Add counts and durations to a session, flagging it when reaching 10 movements
+ * takes (or is taking) longer than expected for the week or for the mother
+ * @param {Object} session - KickSession
+ * @param {number|null} baselineMinutes - From getBaselineMinutes of earlier sessions
+ * @returns {Object}
+ */
+const summarizeSession = (session, baselineMinutes) => {
+  const minutesToTen = getMinutesToTen(session);
+  const durationMinutes = minutesBetween(session.startedAt, session.endedAt || new Date());
+
+  const limits = [];
+  // Movements are not regular enough for a fixed limit before week 28
+  if (session.week >= KICK_COUNTING_START_WEEK) {
+    limits.push(KICK_MAX_MINUTES_TO_TARGET);
+  }
+  if (baselineMinutes) {
+    limits.push(baselineMinutes * BASELINE_FACTOR);
+  }
+
+  // Without a 10th movement, the time counted so far is a lower bound
+  const isLong = limits.length > 0 && (minutesToTen ?? durationMinutes) > Math.min(...limits);
+
+  return {
+    ...session,
+    kickCount: session.kickTimes.length,
+    durationMinutes,
+    minutesToTen,
+    isLong,
+    guidance: isLong ? LONG_SESSION_GUIDANCE : null
+  };
+};
+
+/**
+ * Summarize a session against the sessions that came before it
+ * @param {Object} session - KickSession
+ * @returns {Promise<Object>}
+ */
+const summarizeWithHistory = async (session) => {
+  const earlierSessions = await prisma.kickSession.findMany({
+    where: {
+      pregnancyId: session.pregnancyId,
+      startedAt: { lt: session.startedAt }
+    },
+    orderBy: { startedAt: 'asc' }
+  });
+
+  return summarizeSession(session, getBaselineMinutes(earlierSessions));
+};
+
+/**
+ * Find a kick session of the mother's active pregnancy
+ * @param {string} id - KickSession ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>} { pregnancy, session } or null
+ */
+const findOwnActiveSession = async (id, userId) => {
+  const pregnancy = await findActivePregnancy(userId);
+
+  if (!pregnancy) {
+    return null;
+  }
+
+  const session = await prisma.kickSession.findFirst({
+    where: { id, pregnancyId: pregnancy.id }
+  });
+
+  return session && { pregnancy, session };
+};
+
+/**
+ * Start a kick-count session for the active pregnancy
+ * POST /api/v1/pregnancy/kicks
+ */
+export const startKickSession = async (req, res) => {
+  try {
+    const startedAt = parseTimestamp(req.body.startedAt);
+
+    if (!startedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de início inválido'
+      });
+    }
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const openSession = await prisma.kickSession.findFirst({
+      where: { pregnancyId: pregnancy.id, endedAt: null }
+    });
+
+    if (openSession) {
+      return res.status(409).json({
+        success: false,
+        message: 'Você já tem uma contagem em andamento. Encerre-a antes de começar outra',
+        data: { id: openSession.id }
+      });
+    }
+
+    const session = await prisma.kickSession.create({
+      data: {
+        pregnancyId: pregnancy.id,
+        week: pregnancy.currentWeek,
+        startedAt
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Contagem de movimentos iniciada',
+      data: await summarizeWithHistory(session)
+    });
+  } catch (error) {
+    console.error('Start kick session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao iniciar contagem de movimentos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Record a movement in an ongoing session
+ * POST /api/v1/pregnancy/kicks/:id/kick
+ */
+export const recordKick = async (req, res) => {
+  try {
+    const found = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contagem não encontrada'
+      });
+    }
+
+    const { session } = found;
+
+    if (session.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Esta contagem já foi encerrada'
+      });
+    }
+
+    const kickedAt = parseTimestamp(req.body.at);
+
+    if (!kickedAt || kickedAt < session.startedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário do movimento inválido'
+      });
+    }
+
+    const updatedSession = await prisma.kickSession.update({
+      where: { id: session.id },
+      data: { kickTimes: { push: kickedAt } }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Movimento registrado',
+      data: await summarizeWithHistory(updatedSession)
+    });
+  } catch (error) {
+    console.error('Record kick error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar movimento',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * End an ongoing session
+ * POST /api/v1/pregnancy/kicks/:id/end
+ */
+export const endKickSession = async (req, res) => {
+  try {
+    const found = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contagem não encontrada'
+      });
+    }
+
+    const { session } = found;
+
+    if (session.endedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Esta contagem já foi encerrada'
+      });
+    }
+
+    const endedAt = parseTimestamp(req.body.endedAt);
+    const lastKick = session.kickTimes.reduce((latest, kick) => (kick > latest ? kick : latest), session.startedAt);
+
+    if (!endedAt || endedAt < lastKick) {
+      return res.status(400).json({
+        success: false,
+        message: 'Horário de término inválido'
+      });
+    }
+
+    const updatedSession = await prisma.kickSession.update({
+      where: { id: session.id },
+      data: { endedAt }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contagem de movimentos encerrada',
+      data: await summarizeWithHistory(updatedSession)
+    });
+  } catch (error) {
+    console.error('End kick session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar contagem de movimentos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get kick-count history with weekly trends
+ * GET /api/v1/pregnancy/kicks
+ */
+export const getKickSessions = async (req, res) => {
+  try {
+    const { pregnancyId } = req.query;
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const sessions = await prisma.kickSession.findMany({
+      where: { pregnancyId: pregnancy.id },
+      orderBy: { startedAt: 'asc' }
+    });
+
+    // Each session is compared with the ones before it, as it was when recorded
+    const summaries = sessions.map((session, index) =>
+      summarizeSession(session, getBaselineMinutes(sessions.slice(0, index)))
+    );
+
+    const weeks = new Map();
+    for (const summary of summaries) {
+      if (!weeks.has(summary.week)) {
+        weeks.set(summary.week, []);
+      }
+      weeks.get(summary.week).push(summary);
+    }
+
+    const byWeek = [...weeks].map(([week, weekSessions]) => {
+      const times = weekSessions.map(summary => summary.minutesToTen).filter(minutes => minutes !== null);
+
+      return {
+        week,
+        sessions: weekSessions.length,
+        medianMinutesToTen: median(times),
+        averageKicks: round(weekSessions.reduce((sum, summary) => sum + summary.kickCount, 0) / weekSessions.length),
+        longSessions: weekSessions.filter(summary => summary.isLong).length
+      };
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        sessions: summaries.reverse(),
+        trends: {
+          baselineMinutesToTen: getBaselineMinutes(sessions),
+          byWeek
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get kick sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar contagens de movimentos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a kick-count session of the active pregnancy
+ * DELETE /api/v1/pregnancy/kicks/:id
+ */
+export const deleteKickSession = async (req, res) => {
+  try {
+    const found = await findOwnActiveSession(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Contagem não encontrada'
+      });
+    }
+
+    await prisma.kickSession.delete({
+      where: { id: found.session.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Contagem removida'
+    });
+  } catch (error) {
+    console.error('Delete kick session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover contagem de movimentos',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
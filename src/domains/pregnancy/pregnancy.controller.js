@@ -1,25 +1,22 @@
 import prisma from '../../utils/prisma.js';
-import { isFutureDate, validateRequiredFields } from '../../utils/validation.js';
-
-/**
- * Calculate current pregnancy week based on due date
- * @param {Date} dueDate
- * @returns {number} Current week (1-40)
- */
-const calculateCurrentWeek = (dueDate) => {
-  const now = new Date();
-  const due = new Date(dueDate);
-
-  // Pregnancy is 40 weeks (280 days)
-  const weeksSinceLMP = 40;
-  const millisecondsPerWeek = 7 * 24 * 60 * 60 * 1000;
-
-  const weeksUntilDue = (due - now) / millisecondsPerWeek;
-  const currentWeek = Math.floor(weeksSinceLMP - weeksUntilDue);
-
-  // Clamp between 1 and 40
-  return Math.max(1, Math.min(40, currentWeek));
-};
+import {
+  MAX_GESTATIONAL_WEEK,
+  getGestationalAge,
+  assertOngoingPregnancy
+} from '../../utils/gestationalAge.js';
+import { validateSymptomLog } from '../../utils/validation.js';
+import { findRedFlags, notifyRedFlags } from '../../utils/redFlags.js';
+import { validateWeightBaseline, pickWeightBaseline } from '../../utils/weightGain.js';
+import {
+  DATING_FIELDS,
+  buildDatingData,
+  seedChecklistTemplates,
+  findActivePregnancy,
+  findOwnPregnancy,
+  writeExclusiveActivePregnancy,
+  withGestationalAge
+} from './pregnancy.helpers.js';
+import { findPostpartumPregnancy } from '../postpartum/postpartum.helpers.js';
 
 /**
  * Create pregnancy for current user (Mother only)
@@ -34,57 +31,55 @@ export const createPregnancy = async (req, res) => {
       });
     }
 
-    const { dueDate } = req.body;
-
-    // Validate required fields
-    const { valid, missing } = validateRequiredFields(req.body, ['dueDate']);
-    if (!valid) {
+    const baselineError = validateWeightBaseline(req.body);
+    if (baselineError) {
       return res.status(400).json({
         success: false,
-        message: `Campos obrigatórios ausentes: ${missing.join(', ')}`
+        message: baselineError
       });
     }
 
-    // Validate due date is in the future
-    if (!isFutureDate(dueDate)) {
-      return res.status(400).json({
-        success: false,
-        message: 'A data prevista deve ser no futuro'
-      });
-    }
+    // Due date from LMP, an informed due date or ultrasound dating
+    const datingData = buildDatingData(req.body);
 
-    // Check if mother already has active pregnancy
     const motherProfile = await prisma.motherProfile.findUnique({
-      where: { userId: req.userId },
-      include: { pregnancy: true }
+      where: { userId: req.userId }
     });
 
-    if (motherProfile.pregnancy && motherProfile.pregnancy.status === 'ACTIVE') {
+    // Past pregnancies (COMPLETED / LOST) stay in the history
+    const pregnancy = await writeExclusiveActivePregnancy(motherProfile.id, (tx) =>
+      tx.pregnancy.create({
+        data: {
+          motherProfileId: motherProfile.id,
+          ...datingData,
+          ...pickWeightBaseline(req.body),
+          status: 'ACTIVE'
+        }
+      })
+    );
+
+    if (!pregnancy) {
       return res.status(409).json({
         success: false,
         message: 'Você já tem uma gravidez ativa'
       });
     }
 
-    // Calculate current week
-    const currentWeek = calculateCurrentWeek(dueDate);
-
-    // Create pregnancy
-    const pregnancy = await prisma.pregnancy.create({
-      data: {
-        motherProfileId: motherProfile.id,
-        dueDate: new Date(dueDate),
-        currentWeek,
-        status: 'ACTIVE'
-      }
-    });
+    await seedChecklistTemplates(pregnancy);
 
     res.status(201).json({
       success: true,
       message: 'Gravidez criada com sucesso',
-      data: pregnancy
+      data: withGestationalAge(pregnancy)
     });
   } catch (error) {
+    if (error.name === 'GestationalAgeError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Create pregnancy error:', error);
     res.status(500).json({
       success: false,
@@ -107,55 +102,41 @@ export const getCurrentPregnancy = async (req, res) => {
       });
     }
 
-    const motherProfile = await prisma.motherProfile.findUnique({
-      where: { userId: req.userId },
-      include: {
-        pregnancy: {
-          where: {
-            status: 'ACTIVE'
-          },
-          include: {
-            symptomLogs: {
-              orderBy: { loggedAt: 'desc' },
-              take: 10
-            },
-            checklistItems: {
-              where: {
-                week: {
-                  lte: await prisma.motherProfile.findUnique({
-                    where: { userId: req.userId }
-                  }).then(mp => mp?.pregnancy?.currentWeek || 1)
-                }
-              },
-              orderBy: { createdAt: 'desc' }
-            }
-          }
-        }
-      }
-    });
+    const pregnancy = await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      // After a COMPLETED pregnancy the app switches to GET /postpartum/current
+      const postpartum = await findPostpartumPregnancy(req.userId);
 
-    if (!motherProfile?.pregnancy) {
       return res.status(404).json({
         success: false,
-        message: 'Nenhuma gravidez ativa encontrada'
+        message: 'Nenhuma gravidez ativa encontrada',
+        ...(postpartum && { mode: 'postpartum' })
       });
     }
 
-    // Recalculate current week
-    const updatedWeek = calculateCurrentWeek(motherProfile.pregnancy.dueDate);
-
-    // Update if week changed
-    if (updatedWeek !== motherProfile.pregnancy.currentWeek) {
-      await prisma.pregnancy.update({
-        where: { id: motherProfile.pregnancy.id },
-        data: { currentWeek: updatedWeek }
-      });
-      motherProfile.pregnancy.currentWeek = updatedWeek;
-    }
+    const [symptomLogs, checklistItems] = await Promise.all([
+      prisma.symptomLog.findMany({
+        where: { pregnancyId: pregnancy.id },
+        orderBy: { loggedAt: 'desc' },
+        take: 10
+      }),
+      prisma.checklistItem.findMany({
+        where: {
+          pregnancyId: pregnancy.id,
+          week: { lte: pregnancy.currentWeek }
+        },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
 
     res.status(200).json({
       success: true,
-      data: motherProfile.pregnancy
+      data: {
+        ...pregnancy,
+        symptomLogs,
+        checklistItems
+      }
     });
   } catch (error) {
     console.error('Get current pregnancy error:', error);
@@ -181,7 +162,7 @@ export const updatePregnancy = async (req, res) => {
     }
 
     const { id } = req.params;
-    const { dueDate, status } = req.body;
+    const { status, deliveryDate } = req.body;
 
     // Verify pregnancy belongs to user
     const pregnancy = await prisma.pregnancy.findUnique({
@@ -208,33 +189,98 @@ export const updatePregnancy = async (req, res) => {
     // Prepare update data
     const updateData = {};
 
-    if (dueDate) {
-      if (!isFutureDate(dueDate)) {
+    if (status && ['ACTIVE', 'COMPLETED', 'LOST'].includes(status) && status !== pregnancy.status) {
+      updateData.status = status;
+      updateData.endedAt = status === 'ACTIVE' ? null : new Date();
+      updateData.deliveryDate = null;
+    }
+
+    if (deliveryDate !== undefined && deliveryDate !== null && (updateData.status || pregnancy.status) !== 'COMPLETED') {
+      return res.status(400).json({
+        success: false,
+        message: 'A data do parto só pode ser informada para uma gestação concluída'
+      });
+    }
+
+    // Completing a pregnancy starts postpartum tracking from the delivery date
+    if (updateData.status === 'COMPLETED' || (deliveryDate && pregnancy.status === 'COMPLETED')) {
+      const delivery = deliveryDate ? new Date(deliveryDate) : new Date();
+
+      if (isNaN(delivery.getTime()) || delivery > new Date()) {
         return res.status(400).json({
           success: false,
-          message: 'A data prevista deve ser no futuro'
+          message: 'Data do parto inválida'
         });
       }
-      updateData.dueDate = new Date(dueDate);
-      updateData.currentWeek = calculateCurrentWeek(dueDate);
+
+      updateData.deliveryDate = delivery;
     }
 
-    if (status && ['ACTIVE', 'COMPLETED', 'LOST'].includes(status)) {
-      updateData.status = status;
+    const baselineError = validateWeightBaseline(req.body);
+    if (baselineError) {
+      return res.status(400).json({
+        success: false,
+        message: baselineError
+      });
     }
 
-    // Update pregnancy
-    const updatedPregnancy = await prisma.pregnancy.update({
-      where: { id },
-      data: updateData
-    });
+    Object.assign(updateData, pickWeightBaseline(req.body));
+
+    const nextStatus = updateData.status || pregnancy.status;
+
+    if (DATING_FIELDS.some(field => req.body[field] !== undefined)) {
+      if (nextStatus !== 'ACTIVE') {
+        return res.status(400).json({
+          success: false,
+          message: 'Apenas a gravidez ativa pode ter as datas alteradas'
+        });
+      }
+      Object.assign(updateData, buildDatingData(req.body, pregnancy));
+    }
+
+    let updatedPregnancy;
+
+    if (updateData.status === 'ACTIVE') {
+      // Reactivating a past pregnancy (e.g. status set by mistake)
+      assertOngoingPregnancy(updateData.dueDate || pregnancy.dueDate);
+
+      updatedPregnancy = await writeExclusiveActivePregnancy(
+        pregnancy.motherProfileId,
+        (tx) => tx.pregnancy.update({ where: { id }, data: updateData }),
+        id
+      );
+
+      if (!updatedPregnancy) {
+        return res.status(409).json({
+          success: false,
+          message: 'Você já tem uma gravidez ativa'
+        });
+      }
+    } else {
+      updatedPregnancy = await prisma.pregnancy.update({
+        where: { id },
+        data: updateData
+      });
+    }
+
+    // A new due date can move the pregnancy into weeks not seeded yet
+    if (updatedPregnancy.status === 'ACTIVE') {
+      await seedChecklistTemplates(updatedPregnancy);
+    }
 
     res.status(200).json({
       success: true,
       message: 'Gravidez atualizada com sucesso',
-      data: updatedPregnancy
+      data: withGestationalAge(updatedPregnancy)
     });
   } catch (error) {
+    if (error.name === 'GestationalAgeError') {
+      return res.status(error.statusCode).json({
+        success: false,
+        message: error.message
+      });
+    }
+
     console.error('Update pregnancy error:', error);
     res.status(500).json({
       success: false,
@@ -259,25 +305,24 @@ export const logSymptoms = async (req, res) => {
 
     const { symptoms, mood, notes } = req.body;
 
-    // Get mother's pregnancy
-    const motherProfile = await prisma.motherProfile.findUnique({
-      where: { userId: req.userId },
-      include: {
-        pregnancy: {
-          where: { status: 'ACTIVE' }
-        }
-      }
-    });
+    const validationError = validateSymptomLog(req.body);
+    if (validationError) {
+      return res.status(400).json({
+        success: false,
+        message: validationError
+      });
+    }
+
+    // Get mother's pregnancy (week recalculated from the due date)
+    const pregnancy = await findActivePregnancy(req.userId);
 
-    if (!motherProfile?.pregnancy) {
+    if (!pregnancy) {
       return res.status(404).json({
         success: false,
         message: 'Nenhuma gravidez ativa encontrada'
       });
     }
 
-    const pregnancy = motherProfile.pregnancy;
-
     // Create symptom log
     const symptomLog = await prisma.symptomLog.create({
       data: {
@@ -289,10 +334,16 @@ export const logSymptoms = async (req, res) => {
       }
     });
 
+    // Warning signs get urgent-care guidance right away, plus a notification to come back to
+    const redFlags = await findRedFlags(symptomLog.symptoms, symptomLog.week);
+    await notifyRedFlags(pregnancy.motherProfileId, symptomLog, redFlags);
+
     res.status(201).json({
       success: true,
-      message: 'Sintomas registrados com sucesso',
-      data: symptomLog
+      message: redFlags.length > 0
+        ? 'Sintomas registrados. Atenção: alguns sintomas precisam de avaliação médica'
+        : 'Sintomas registrados com sucesso',
+      data: { ...symptomLog, redFlags }
     });
   } catch (error) {
     console.error('Log symptoms error:', error);
@@ -317,26 +368,22 @@ export const getSymptomLogs = async (req, res) => {
       });
     }
 
-    const { week } = req.query;
+    const { week, pregnancyId } = req.query;
 
-    const motherProfile = await prisma.motherProfile.findUnique({
-      where: { userId: req.userId },
-      include: {
-        pregnancy: {
-          where: { status: 'ACTIVE' }
-        }
-      }
-    });
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
 
-    if (!motherProfile?.pregnancy) {
+    if (!pregnancy) {
       return res.status(404).json({
         success: false,
-        message: 'Nenhuma gravidez ativa encontrada'
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
       });
     }
 
     const whereClause = {
-      pregnancyId: motherProfile.pregnancy.id
+      pregnancyId: pregnancy.id
     };
 
     if (week) {
@@ -362,6 +409,61 @@ export const getSymptomLogs = async (req, res) => {
   }
 };
 
+/**
+ * List every pregnancy of the mother, newest first
+ * GET /api/v1/pregnancy/history
+ */
+export const getPregnancyHistory = async (req, res) => {
+  try {
+    if (req.user.role !== 'MOTHER') {
+      return res.status(403).json({
+        success: false,
+        message: 'Apenas mães podem acessar o histórico de gestações'
+      });
+    }
+
+    // Brings the active pregnancy's week up to date before listing (support sessions only read)
+    if (!req.impersonation) {
+      await findActivePregnancy(req.userId);
+    }
+
+    const pregnancies = await prisma.pregnancy.findMany({
+      where: {
+        motherProfile: { userId: req.userId }
+      },
+      include: {
+        _count: {
+          select: {
+            symptomLogs: true,
+            checklistItems: true,
+            kickSessions: true,
+            contractionSessions: true,
+            weightLogs: true,
+            appointments: true
+          }
+        }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: pregnancies.map(pregnancy => ({
+        ...pregnancy,
+        // Past pregnancies report the gestational age they ended at
+        gestationalAge: getGestationalAge(pregnancy.dueDate, pregnancy.endedAt || new Date())
+      }))
+    });
+  } catch (error) {
+    console.error('Get pregnancy history error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar histórico de gestações',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
 /**
  * Get weekly content by week number
  * GET /api/v1/pregnancy/weeks/:week
@@ -371,10 +473,10 @@ export const getWeeklyContent = async (req, res) => {
     const { week } = req.params;
     const weekNum = parseInt(week);
 
-    if (!weekNum || weekNum < 1 || weekNum > 40) {
+    if (!weekNum || weekNum < 1 || weekNum > MAX_GESTATIONAL_WEEK) {
       return res.status(400).json({
         success: false,
-        message: 'Semana inválida. Use um número entre 1 e 40'
+        message: `Semana inválida. Use um número entre 1 e ${MAX_GESTATIONAL_WEEK}`
       });
     }
 
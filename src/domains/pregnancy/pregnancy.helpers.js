@@ -0,0 +1,257 @@
+import prisma from '../../utils/prisma.js';
+import {
+  getGestationalAge,
+  resolveDueDate,
+  assertOngoingPregnancy
+} from '../../utils/gestationalAge.js';
+
+// Request fields that (re)date a pregnancy
+export const DATING_FIELDS = [
+  'dueDate',
+  'lmpDate',
+  'ultrasoundDate',
+  'ultrasoundWeeks',
+  'ultrasoundDays',
+  'datingMethod'
+];
+
+/**
+ * Read the template items of a WeeklyContent.checklist value.
+ * Content synced from Strapi is an array; the seed stores a JSON string.
+ * @param {*} checklist - WeeklyContent.checklist
+ * @returns {Array<string>}
+ */
+const parseTemplateChecklist = (checklist) => {
+  let items = checklist;
+
+  if (typeof items === 'string') {
+    try {
+      items = JSON.parse(items);
+    } catch (error) {
+      return [];
+    }
+  }
+
+  if (!Array.isArray(items)) {
+    return [];
+  }
+
+  return items
+    .map(item => (typeof item === 'string' ? item : item?.content || item?.title))
+    .filter(content => typeof content === 'string' && content.trim())
+    .map(content => content.trim());
+};
+
+/**
+ * Copy WeeklyContent checklist templates into a pregnancy, once per week.
+ * A new pregnancy starts at its current week; later calls catch up on every
+ * week reached since the last seeding.
+ * @param {Object} pregnancy - Pregnancy with an up-to-date currentWeek
+ * @returns {Promise<number>} Number of template items created
+ */
+export const seedChecklistTemplates = async (pregnancy) => {
+  const targetWeek = pregnancy.currentWeek;
+  let lastSeededWeek = pregnancy.checklistSeededWeek;
+
+  while (lastSeededWeek === null || lastSeededWeek < targetWeek) {
+    const fromWeek = lastSeededWeek === null ? targetWeek : lastSeededWeek + 1;
+
+    // Claim the exact weeks we copy, in the same transaction as the copy, so
+    // concurrent requests never copy a week twice and a failure claims nothing
+    const created = await prisma.$transaction(async (tx) => {
+      const { count } = await tx.pregnancy.updateMany({
+        where: { id: pregnancy.id, checklistSeededWeek: lastSeededWeek },
+        data: { checklistSeededWeek: targetWeek }
+      });
+
+      if (count === 0) {
+        return null;
+      }
+
+      const contents = await tx.weeklyContent.findMany({
+        where: { week: { gte: fromWeek, lte: targetWeek } },
+        select: { week: true, checklist: true }
+      });
+
+      const items = contents.flatMap(({ week, checklist }) =>
+        parseTemplateChecklist(checklist).map(content => ({
+          pregnancyId: pregnancy.id,
+          week,
+          content,
+          isTemplate: true
+        }))
+      );
+
+      if (items.length > 0) {
+        await tx.checklistItem.createMany({ data: items });
+      }
+
+      return items.length;
+    });
+
+    if (created !== null) {
+      pregnancy.checklistSeededWeek = targetWeek;
+      return created;
+    }
+
+    // Another request seeded meanwhile: continue from where it stopped
+    const current = await prisma.pregnancy.findUnique({
+      where: { id: pregnancy.id },
+      select: { checklistSeededWeek: true }
+    });
+
+    if (!current) {
+      return 0;
+    }
+
+    lastSeededWeek = current.checklistSeededWeek;
+  }
+
+  pregnancy.checklistSeededWeek = lastSeededWeek;
+
+  return 0;
+};
+
+/**
+ * Build the Pregnancy dating columns from request fields.
+ * On update, stored LMP/ultrasound data is kept so a new scan can still be
+ * compared with the LMP; a new due date on its own is taken as an override.
+ * @param {Object} body - Request body with any of DATING_FIELDS
+ * @param {Object} [existing] - Pregnancy being re-dated
+ * @returns {Object} Prisma data (throws GestationalAgeError on invalid input)
+ */
+export const buildDatingData = (body, existing = null) => {
+  const input = { ...body };
+
+  if (existing) {
+    input.lmpDate = body.lmpDate ?? existing.lmpDate;
+
+    if (body.ultrasoundDate === undefined && existing.ultrasoundDate) {
+      input.ultrasoundDate = existing.ultrasoundDate;
+      input.ultrasoundWeeks = Math.floor(existing.ultrasoundGestationalDays / 7);
+      input.ultrasoundDays = existing.ultrasoundGestationalDays % 7;
+    }
+
+    if (body.dueDate && !body.datingMethod) {
+      input.datingMethod = 'DUE_DATE';
+    }
+  }
+
+  const dating = resolveDueDate(input);
+  assertOngoingPregnancy(dating.dueDate);
+
+  return {
+    ...dating,
+    currentWeek: getGestationalAge(dating.dueDate).currentWeek
+  };
+};
+
+/**
+ * Attach the gestational age of today to a pregnancy
+ * @param {Object} pregnancy
+ * @returns {Object} Pregnancy with `gestationalAge`
+ */
+export const withGestationalAge = (pregnancy) => {
+  return {
+    ...pregnancy,
+    gestationalAge: getGestationalAge(pregnancy.dueDate)
+  };
+};
+
+/**
+ * Find the mother's active pregnancy, bringing its week and checklist up to date.
+ * With `sync: false` (support sessions) the week is only corrected in memory
+ * and nothing is written.
+ * @param {string} userId
+ * @param {Object} [options] - { sync = true }
+ * @returns {Promise<Object|null>} Pregnancy (with `gestationalAge`) or null
+ */
+export const findActivePregnancy = async (userId, { sync = true } = {}) => {
+  const pregnancy = await prisma.pregnancy.findFirst({
+    where: {
+      status: 'ACTIVE',
+      motherProfile: { userId }
+    }
+  });
+
+  if (!pregnancy) {
+    return null;
+  }
+
+  const { currentWeek } = getGestationalAge(pregnancy.dueDate);
+
+  if (!sync) {
+    return withGestationalAge({ ...pregnancy, currentWeek });
+  }
+
+  // currentWeek is stored for queries and content seeding; the due date is the source of truth
+  if (currentWeek !== pregnancy.currentWeek) {
+    await prisma.pregnancy.update({
+      where: { id: pregnancy.id },
+      data: { currentWeek }
+    });
+    pregnancy.currentWeek = currentWeek;
+  }
+
+  await seedChecklistTemplates(pregnancy);
+
+  return withGestationalAge(pregnancy);
+};
+
+/**
+ * Find any pregnancy (active or past) that belongs to the mother
+ * @param {string} userId
+ * @param {string} pregnancyId
+ * @returns {Promise<Object|null>}
+ */
+export const findOwnPregnancy = (userId, pregnancyId) => {
+  return prisma.pregnancy.findFirst({
+    where: {
+      id: pregnancyId,
+      motherProfile: { userId }
+    }
+  });
+};
+
+// Serialization failures (P2034) are retried; the retry sees the winner's pregnancy
+const EXCLUSIVE_WRITE_ATTEMPTS = 3;
+
+/**
+ * Run a write that creates or reactivates a pregnancy only when the mother has
+ * no other ACTIVE one. Serializable isolation keeps two concurrent requests
+ * from both passing the check, and the partial unique index on ACTIVE
+ * pregnancies (P2002) backs it up in the database.
+ * @param {string} motherProfileId
+ * @param {Function} write - (tx) => Promise<Object>
+ * @param {string} [excludeId] - Pregnancy being reactivated
+ * @returns {Promise<Object|null>} Result of `write`, or null when another pregnancy is active
+ */
+export const writeExclusiveActivePregnancy = async (motherProfileId, write, excludeId) => {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(async (tx) => {
+        const activeCount = await tx.pregnancy.count({
+          where: {
+            motherProfileId,
+            status: 'ACTIVE',
+            ...(excludeId && { id: { not: excludeId } })
+          }
+        });
+
+        if (activeCount > 0) {
+          return null;
+        }
+
+        return write(tx);
+      }, { isolationLevel: 'Serializable' });
+    } catch (error) {
+      if (error.code === 'P2002') {
+        return null;
+      }
+
+      if (error.code !== 'P2034' || attempt >= EXCLUSIVE_WRITE_ATTEMPTS) {
+        throw error;
+      }
+    }
+  }
+};
@@ -2,11 +2,51 @@ import express from 'express';
 import {
   createPregnancy,
   getCurrentPregnancy,
+  getPregnancyHistory,
   updatePregnancy,
   logSymptoms,
   getSymptomLogs,
   getWeeklyContent
 } from './pregnancy.controller.js';
+import {
+  getChecklist,
+  createChecklistItem,
+  updateChecklistItem,
+  toggleChecklistItem,
+  deleteChecklistItem
+} from './checklist.controller.js';
+import { getSymptomInsights } from './insights.controller.js';
+import {
+  startKickSession,
+  recordKick,
+  endKickSession,
+  getKickSessions,
+  deleteKickSession
+} from './kicks.controller.js';
+import {
+  startContractionSession,
+  startContraction,
+  endContraction,
+  deleteContraction,
+  endContractionSession,
+  updateContractionSession,
+  getContractionSessions,
+  getContractionSession,
+  deleteContractionSession
+} from './contractions.controller.js';
+import {
+  getWeightLogs,
+  logWeight,
+  updateWeightLog,
+  deleteWeightLog
+} from './weight.controller.js';
+import {
+  getAppointments,
+  getRecommendedAppointments,
+  createAppointment,
+  updateAppointment,
+  deleteAppointment
+} from './appointments.controller.js';
 import { authenticate, isMother } from '../../middleware/auth.js';
 
 const router = express.Router();
@@ -23,6 +63,93 @@ router.post('/', isMother, createPregnancy);
 // GET /api/v1/pregnancy/current
 router.get('/current', isMother, getCurrentPregnancy);
 
+// GET /api/v1/pregnancy/history
+router.get('/history', isMother, getPregnancyHistory);
+
+// GET /api/v1/pregnancy/checklist
+router.get('/checklist', isMother, getChecklist);
+
+// POST /api/v1/pregnancy/checklist
+router.post('/checklist', isMother, createChecklistItem);
+
+// PUT /api/v1/pregnancy/checklist/:id
+router.put('/checklist/:id', isMother, updateChecklistItem);
+
+// POST /api/v1/pregnancy/checklist/:id/toggle
+router.post('/checklist/:id/toggle', isMother, toggleChecklistItem);
+
+// DELETE /api/v1/pregnancy/checklist/:id
+router.delete('/checklist/:id', isMother, deleteChecklistItem);
+
+// GET /api/v1/pregnancy/kicks
+router.get('/kicks', isMother, getKickSessions);
+
+// POST /api/v1/pregnancy/kicks
+router.post('/kicks', isMother, startKickSession);
+
+// POST /api/v1/pregnancy/kicks/:id/kick
+router.post('/kicks/:id/kick', isMother, recordKick);
+
+// POST /api/v1/pregnancy/kicks/:id/end
+router.post('/kicks/:id/end', isMother, endKickSession);
+
+// DELETE /api/v1/pregnancy/kicks/:id
+router.delete('/kicks/:id', isMother, deleteKickSession);
+
+// GET /api/v1/pregnancy/contractions
+router.get('/contractions', isMother, getContractionSessions);
+
+// POST /api/v1/pregnancy/contractions
+router.post('/contractions', isMother, startContractionSession);
+
+// GET /api/v1/pregnancy/contractions/:id
+router.get('/contractions/:id', isMother, getContractionSession);
+
+// PUT /api/v1/pregnancy/contractions/:id
+router.put('/contractions/:id', isMother, updateContractionSession);
+
+// POST /api/v1/pregnancy/contractions/:id/end
+router.post('/contractions/:id/end', isMother, endContractionSession);
+
+// DELETE /api/v1/pregnancy/contractions/:id
+router.delete('/contractions/:id', isMother, deleteContractionSession);
+
+// POST /api/v1/pregnancy/contractions/:id/contractions
+router.post('/contractions/:id/contractions', isMother, startContraction);
+
+// POST /api/v1/pregnancy/contractions/:id/contractions/end
+router.post('/contractions/:id/contractions/end', isMother, endContraction);
+
+// DELETE /api/v1/pregnancy/contractions/:id/contractions/:contractionId
+router.delete('/contractions/:id/contractions/:contractionId', isMother, deleteContraction);
+
+// GET /api/v1/pregnancy/weight
+router.get('/weight', isMother, getWeightLogs);
+
+// POST /api/v1/pregnancy/weight
+router.post('/weight', isMother, logWeight);
+
+// PUT /api/v1/pregnancy/weight/:id
+router.put('/weight/:id', isMother, updateWeightLog);
+
+// DELETE /api/v1/pregnancy/weight/:id
+router.delete('/weight/:id', isMother, deleteWeightLog);
+
+// GET /api/v1/pregnancy/appointments
+router.get('/appointments', isMother, getAppointments);
+
+// GET /api/v1/pregnancy/appointments/recommended
+router.get('/appointments/recommended', isMother, getRecommendedAppointments);
+
+// POST /api/v1/pregnancy/appointments
+router.post('/appointments', isMother, createAppointment);
+
+// PUT /api/v1/pregnancy/appointments/:id
+router.put('/appointments/:id', isMother, updateAppointment);
+
+// DELETE /api/v1/pregnancy/appointments/:id
+router.delete('/appointments/:id', isMother, deleteAppointment);
+
 // PUT /api/v1/pregnancy/:id
 router.put('/:id', isMother, updatePregnancy);
 
@@ -32,4 +159,7 @@ router.post('/symptoms', isMother, logSymptoms);
 // GET /api/v1/pregnancy/symptoms
 router.get('/symptoms', isMother, getSymptomLogs);
 
+// GET /api/v1/pregnancy/symptoms/insights
+router.get('/symptoms/insights', isMother, getSymptomInsights);
+
 export default router;
@@ -0,0 +1,296 @@
+import prisma from '../../utils/prisma.js';
+import { TERM_DAYS, getGestationalAge } from '../../utils/gestationalAge.js';
+import { round } from '../../utils/numbers.js';
+import { parseTimestamp } from '../../utils/validation.js';
+import {
+  validateWeight,
+  getWeightBaseline,
+  getGainRange,
+  assessWeight
+} from '../../utils/weightGain.js';
+import { findActivePregnancy, findOwnPregnancy } from './pregnancy.helpers.js';
+
+const OUT_OF_RANGE_GUIDANCE = {
+  below: 'Seu ganho de peso está abaixo do recomendado para esta semana. Converse com seu médico ou nutricionista.',
+  above: 'Seu ganho de peso está acima do recomendado para esta semana. Converse com seu médico ou nutricionista.'
+};
+
+/**
+ * Add the gain over pre-pregnancy weight and the IOM range check to a reading
+ * @param {Object} log - WeightLog
+ * @param {Object|null} baseline - From getWeightBaseline
+ * @returns {Object}
+ */
+const assessLog = (log, baseline) => {
+  if (!baseline) {
+    return { ...log, gainKg: null, recommendedGainKg: null, status: null, isOutOfRange: false, guidance: null };
+  }
+
+  const assessment = assessWeight(baseline, log.weightKg, log.week);
+  const isOutOfRange = assessment.status !== 'within';
+
+  return {
+    ...log,
+    ...assessment,
+    isOutOfRange,
+    guidance: isOutOfRange ? OUT_OF_RANGE_GUIDANCE[assessment.status] : null
+  };
+};
+
+/**
+ * One point per gestational week up to term (or the latest reading): the
+ * recommended range and the latest reading of that week
+ * @param {Array<Object>} logs - Assessed readings, oldest first
+ * @param {Object|null} baseline
+ * @param {number} currentWeek
+ * @returns {Array<Object>} [{ week, minGainKg, maxGainKg, weightKg, gainKg }]
+ */
+const buildChartSeries = (logs, baseline, currentWeek) => {
+  const latestByWeek = new Map(logs.map(log => [log.week, log]));
+  const lastWeek = Math.max(TERM_DAYS / 7, currentWeek, ...logs.map(log => log.week));
+
+  return Array.from({ length: lastWeek }, (_, index) => {
+    const week = index + 1;
+    const range = baseline && getGainRange(baseline, week);
+    const log = latestByWeek.get(week);
+
+    return {
+      week,
+      minGainKg: range ? range.min : null,
+      maxGainKg: range ? range.max : null,
+      weightKg: log ? log.weightKg : null,
+      gainKg: log ? log.gainKg : null
+    };
+  });
+};
+
+/**
+ * Find a weight reading of the mother's active pregnancy
+ * @param {string} id - WeightLog ID
+ * @param {string} userId
+ * @returns {Promise<Object|null>} { pregnancy, log } or null
+ */
+const findOwnActiveLog = async (id, userId) => {
+  const pregnancy = await findActivePregnancy(userId);
+
+  if (!pregnancy) {
+    return null;
+  }
+
+  const log = await prisma.weightLog.findFirst({
+    where: { id, pregnancyId: pregnancy.id }
+  });
+
+  return log && { pregnancy, log };
+};
+
+/**
+ * Get weight readings with BMI, IOM gain ranges and a chart-ready series
+ * GET /api/v1/pregnancy/weight
+ */
+export const getWeightLogs = async (req, res) => {
+  try {
+    const { pregnancyId } = req.query;
+
+    // Defaults to the active pregnancy; past ones are read through ?pregnancyId=
+    const pregnancy = pregnancyId
+      ? await findOwnPregnancy(req.userId, pregnancyId)
+      : await findActivePregnancy(req.userId, { sync: !req.impersonation });
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: pregnancyId ? 'Gravidez não encontrada' : 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const logs = await prisma.weightLog.findMany({
+      where: { pregnancyId: pregnancy.id },
+      orderBy: { loggedAt: 'asc' }
+    });
+
+    const baseline = getWeightBaseline(pregnancy);
+    const assessedLogs = logs.map(log => assessLog(log, baseline));
+    const latest = assessedLogs[assessedLogs.length - 1];
+
+    res.status(200).json({
+      success: true,
+      data: {
+        // null until heightCm and prePregnancyWeightKg are set on the pregnancy
+        baseline: baseline && {
+          heightCm: pregnancy.heightCm,
+          ...baseline
+        },
+        latest: latest || null,
+        series: buildChartSeries(assessedLogs, baseline, pregnancy.currentWeek),
+        logs: [...assessedLogs].reverse()
+      }
+    });
+  } catch (error) {
+    console.error('Get weight logs error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar registros de peso',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log a weight reading for the active pregnancy
+ * POST /api/v1/pregnancy/weight
+ */
+export const logWeight = async (req, res) => {
+  try {
+    const { weightKg, notes } = req.body;
+
+    const weightError = validateWeight(weightKg);
+    if (weightError) {
+      return res.status(400).json({
+        success: false,
+        message: weightError
+      });
+    }
+
+    const loggedAt = parseTimestamp(req.body.loggedAt);
+
+    if (!loggedAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'Data do registro inválida'
+      });
+    }
+
+    const pregnancy = await findActivePregnancy(req.userId);
+
+    if (!pregnancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nenhuma gravidez ativa encontrada'
+      });
+    }
+
+    const log = await prisma.weightLog.create({
+      data: {
+        pregnancyId: pregnancy.id,
+        week: getGestationalAge(pregnancy.dueDate, loggedAt).currentWeek,
+        weightKg: round(parseFloat(weightKg)),
+        notes,
+        loggedAt
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Peso registrado com sucesso',
+      data: assessLog(log, getWeightBaseline(pregnancy))
+    });
+  } catch (error) {
+    console.error('Log weight error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao registrar peso',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Update a weight reading
+ * PUT /api/v1/pregnancy/weight/:id
+ */
+export const updateWeightLog = async (req, res) => {
+  try {
+    const { weightKg, notes, loggedAt } = req.body;
+
+    const found = await findOwnActiveLog(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de peso não encontrado'
+      });
+    }
+
+    const { pregnancy, log } = found;
+    const updateData = {};
+
+    if (weightKg !== undefined) {
+      const weightError = validateWeight(weightKg);
+      if (weightError) {
+        return res.status(400).json({
+          success: false,
+          message: weightError
+        });
+      }
+      updateData.weightKg = round(parseFloat(weightKg));
+    }
+
+    if (loggedAt !== undefined) {
+      const date = parseTimestamp(loggedAt);
+      if (!date) {
+        return res.status(400).json({
+          success: false,
+          message: 'Data do registro inválida'
+        });
+      }
+      updateData.loggedAt = date;
+      updateData.week = getGestationalAge(pregnancy.dueDate, date).currentWeek;
+    }
+
+    if (notes !== undefined) {
+      updateData.notes = notes;
+    }
+
+    const updatedLog = await prisma.weightLog.update({
+      where: { id: log.id },
+      data: updateData
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registro de peso atualizado',
+      data: assessLog(updatedLog, getWeightBaseline(pregnancy))
+    });
+  } catch (error) {
+    console.error('Update weight log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao atualizar registro de peso',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Delete a weight reading
+ * DELETE /api/v1/pregnancy/weight/:id
+ */
+export const deleteWeightLog = async (req, res) => {
+  try {
+    const found = await findOwnActiveLog(req.params.id, req.userId);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: 'Registro de peso não encontrado'
+      });
+    }
+
+    await prisma.weightLog.delete({
+      where: { id: found.log.id }
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Registro de peso removido'
+    });
+  } catch (error) {
+    console.error('Delete weight log error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao remover registro de peso',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
@@ -1,5 +1,18 @@
 import prisma from '../../utils/prisma.js';
+import { sanitizeUser } from '../../utils/sanitize.js';
 import bcrypt from 'bcryptjs';
+import { revokeSession as revokeUserSession, revokeUserSessions } from '../../utils/session.js';
+import { enqueueDataExport } from '../../jobs/dataExport.job.js';
+import { recordAudit } from '../../utils/auditLog.js';
+import {
+  validateScopes,
+  createApiKey as issueApiKey,
+  rotateApiKey as replaceApiKey,
+  revokeApiKey as disableApiKey,
+  toPublicApiKey
+} from '../../utils/apiKeys.js';
+
+const ACCOUNT_DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
 
 /**
  * Get user profile
@@ -12,7 +25,9 @@ export const getProfile = async (req, res) => {
       include: {
         motherProfile: {
           include: {
-            pregnancy: true
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
           }
         },
         collaboratorProfile: true,
@@ -27,7 +42,7 @@ export const getProfile = async (req, res) => {
       });
     }
 
-    const { passwordHash: _, ...userWithoutPassword } = user;
+    const userWithoutPassword = sanitizeUser(user);
 
     res.status(200).json({
       success: true,
@@ -105,7 +120,9 @@ export const updateProfile = async (req, res) => {
       include: {
         motherProfile: {
           include: {
-            pregnancy: true
+            pregnancies: {
+              where: { status: 'ACTIVE' }
+            }
           }
         },
         collaboratorProfile: true,
@@ -113,7 +130,7 @@ export const updateProfile = async (req, res) => {
       }
     });
 
-    const { passwordHash: _, ...userWithoutPassword } = updatedUser;
+    const userWithoutPassword = sanitizeUser(updatedUser);
 
     res.status(200).json({
       success: true,
@@ -157,8 +174,9 @@ export const changePassword = async (req, res) => {
       where: { id: req.userId }
     });
 
-    // Verify current password
-    const isPasswordValid = await bcrypt.compare(currentPassword, user.passwordHash);
+    // Verify current password (social-only accounts set one via forgot-password)
+    const isPasswordValid = user.passwordHash
+      && await bcrypt.compare(currentPassword, user.passwordHash);
 
     if (!isPasswordValid) {
       return res.status(401).json({
@@ -176,6 +194,12 @@ export const changePassword = async (req, res) => {
       data: { passwordHash }
     });
 
+    await recordAudit(req, {
+      action: 'user.change_password',
+      targetType: 'User',
+      targetId: req.userId
+    });
+
     res.status(200).json({
       success: true,
       message: 'Senha alterada com sucesso'
@@ -228,3 +252,464 @@ export const completeOnboarding = async (req, res) => {
     });
   }
 };
+
+/**
+ * List active sessions (devices) for the current user
+ * GET /api/v1/users/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: {
+        userId: req.userId,
+        revokedAt: null,
+        expiresAt: { gt: new Date() }
+      },
+      select: {
+        id: true,
+        deviceLabel: true,
+        ipAddress: true,
+        userAgent: true,
+        lastSeenAt: true,
+        createdAt: true
+      },
+      orderBy: { lastSeenAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: sessions.map(session => ({
+        ...session,
+        current: session.id === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar sessões',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke one session (remote logout)
+ * DELETE /api/v1/users/sessions/:id
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const session = await prisma.session.findUnique({
+      where: { id }
+    });
+
+    if (!session || session.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sessão não encontrada'
+      });
+    }
+
+    await revokeUserSession(id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Sessão encerrada com sucesso'
+    });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessão',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Log out everywhere (optionally keeping the current device)
+ * DELETE /api/v1/users/sessions?keepCurrent=true
+ */
+export const revokeAllSessions = async (req, res) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === 'true';
+
+    await revokeUserSessions(req.userId, {
+      exceptSessionId: keepCurrent ? req.sessionId : undefined
+    });
+
+    res.status(200).json({
+      success: true,
+      message: keepCurrent
+        ? 'Todas as outras sessões foram encerradas'
+        : 'Todas as sessões foram encerradas'
+    });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao encerrar sessões',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Request a personal data export (LGPD portability)
+ * POST /api/v1/users/me/export
+ */
+export const requestDataExport = async (req, res) => {
+  try {
+    const pending = await prisma.dataExport.findFirst({
+      where: {
+        userId: req.userId,
+        status: { in: ['PENDING', 'PROCESSING'] }
+      }
+    });
+
+    if (pending) {
+      return res.status(409).json({
+        success: false,
+        message: 'Já existe uma exportação em andamento',
+        data: pending
+      });
+    }
+
+    const dataExport = await prisma.dataExport.create({
+      data: { userId: req.userId }
+    });
+
+    enqueueDataExport(dataExport.id);
+
+    res.status(202).json({
+      success: true,
+      message: 'Exportação solicitada. Seus dados estarão prontos em alguns minutos',
+      data: dataExport
+    });
+  } catch (error) {
+    console.error('Request data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao solicitar exportação de dados',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Get data export status
+ * GET /api/v1/users/me/export/:id
+ */
+export const getDataExport = async (req, res) => {
+  try {
+    const dataExport = await prisma.dataExport.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        userId: true,
+        status: true,
+        expiresAt: true,
+        completedAt: true,
+        createdAt: true
+      }
+    });
+
+    if (!dataExport || dataExport.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exportação não encontrada'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: dataExport
+    });
+  } catch (error) {
+    console.error('Get data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar exportação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Download a ready data export archive
+ * GET /api/v1/users/me/export/:id/download
+ */
+export const downloadDataExport = async (req, res) => {
+  try {
+    // The archive is the mother's full record: only she downloads it, never support
+    if (req.impersonation) {
+      return res.status(403).json({
+        success: false,
+        message: 'Download da exportação não permitido durante a sessão de suporte',
+        code: 'IMPERSONATION_FORBIDDEN'
+      });
+    }
+
+    const dataExport = await prisma.dataExport.findUnique({
+      where: { id: req.params.id }
+    });
+
+    if (!dataExport || dataExport.userId !== req.userId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exportação não encontrada'
+      });
+    }
+
+    if (dataExport.status !== 'READY') {
+      return res.status(409).json({
+        success: false,
+        message: 'A exportação ainda não está pronta'
+      });
+    }
+
+    if (dataExport.expiresAt <= new Date()) {
+      return res.status(410).json({
+        success: false,
+        message: 'O link de download expirou. Solicite uma nova exportação'
+      });
+    }
+
+    res.download(dataExport.filePath, `mamacita-dados-${dataExport.createdAt.toISOString().slice(0, 10)}.zip`);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao baixar exportação',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Schedule account deletion after the grace period (logging in again cancels it)
+ * DELETE /api/v1/users/me
+ */
+export const requestAccountDeletion = async (req, res) => {
+  try {
+    const { password } = req.body;
+    const user = req.user;
+
+    if (user.role === 'ADMIN') {
+      return res.status(403).json({
+        success: false,
+        message: 'Contas de administrador devem ser removidas por outro administrador'
+      });
+    }
+
+    // Social-only accounts have no password to confirm
+    if (user.passwordHash) {
+      const isPasswordValid = password && await bcrypt.compare(password, user.passwordHash);
+
+      if (!isPasswordValid) {
+        return res.status(401).json({
+          success: false,
+          message: 'Senha incorreta'
+        });
+      }
+    }
+
+    // Classes and events keep their instructor; those need a handover first
+    if (user.collaboratorProfile) {
+      const [classes, events] = await Promise.all([
+        prisma.class.count({ where: { instructorId: user.collaboratorProfile.id } }),
+        prisma.event.count({ where: { organizerId: user.collaboratorProfile.id } })
+      ]);
+
+      if (classes + events > 0) {
+        return res.status(409).json({
+          success: false,
+          message: 'Você possui aulas ou eventos cadastrados. Entre em contato com o suporte para excluir sua conta'
+        });
+      }
+    }
+
+    const now = new Date();
+    const deletionScheduledAt = new Date(now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+
+    await prisma.user.update({
+      where: { id: req.userId },
+      data: {
+        deletionRequestedAt: now,
+        deletionScheduledAt
+      }
+    });
+
+    // Log out every device; logging in again cancels the deletion
+    await revokeUserSessions(req.userId);
+
+    res.status(202).json({
+      success: true,
+      message: `Sua conta será excluída em ${ACCOUNT_DELETION_GRACE_DAYS} dias. Para cancelar, basta fazer login novamente`,
+      data: { deletionScheduledAt }
+    });
+  } catch (error) {
+    console.error('Request account deletion error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao solicitar exclusão da conta',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Find one of the current collaborator's API keys
+ * @param {Object} req - Express request
+ * @returns {Promise<Object|null>}
+ */
+const findOwnApiKey = async (req) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { id: req.params.id }
+  });
+
+  return apiKey && apiKey.collaboratorProfileId === req.user.collaboratorProfile.id ? apiKey : null;
+};
+
+/**
+ * List the collaborator's API keys
+ * GET /api/v1/users/api-keys
+ */
+export const getMyApiKeys = async (req, res) => {
+  try {
+    const apiKeys = await prisma.apiKey.findMany({
+      where: { collaboratorProfileId: req.user.collaboratorProfile.id },
+      orderBy: { createdAt: 'desc' }
+    });
+
+    res.status(200).json({
+      success: true,
+      data: apiKeys.map(toPublicApiKey)
+    });
+  } catch (error) {
+    console.error('Get my API keys error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao buscar chaves de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Create an API key for the collaborator's integrations
+ * POST /api/v1/users/api-keys
+ */
+export const createMyApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+
+    if (!req.user.collaboratorProfile.isVerified) {
+      return res.status(403).json({
+        success: false,
+        message: 'Apenas colaboradores verificados podem criar chaves de API'
+      });
+    }
+
+    if (!name) {
+      return res.status(400).json({
+        success: false,
+        message: 'Campos obrigatórios ausentes: name'
+      });
+    }
+
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        message: scopeError
+      });
+    }
+
+    const { key, apiKey } = await issueApiKey({
+      name,
+      scopes,
+      collaboratorProfileId: req.user.collaboratorProfile.id,
+      createdById: req.userId,
+      expiresAt
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave criada. Copie agora: ela não será exibida novamente',
+      data: { ...apiKey, key }
+    });
+  } catch (error) {
+    console.error('Create my API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao criar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Rotate one of the collaborator's API keys
+ * POST /api/v1/users/api-keys/:id/rotate
+ */
+export const rotateMyApiKey = async (req, res) => {
+  try {
+    const apiKey = await findOwnApiKey(req);
+
+    if (!apiKey || apiKey.revokedAt || apiKey.rotatedToId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave de API não encontrada ou já substituída'
+      });
+    }
+
+    const { key, apiKey: replacement } = await replaceApiKey(apiKey, req.userId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Chave rotacionada. Copie agora: ela não será exibida novamente',
+      data: { ...replacement, key }
+    });
+  } catch (error) {
+    console.error('Rotate my API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao rotacionar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
+
+/**
+ * Revoke one of the collaborator's API keys
+ * DELETE /api/v1/users/api-keys/:id
+ */
+export const revokeMyApiKey = async (req, res) => {
+  try {
+    const apiKey = await findOwnApiKey(req);
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Chave de API não encontrada'
+      });
+    }
+
+    await disableApiKey(apiKey.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Chave de API revogada'
+    });
+  } catch (error) {
+    console.error('Revoke my API key error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro ao revogar chave de API',
+      error: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+};
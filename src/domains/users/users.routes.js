@@ -1,6 +1,22 @@
 import express from 'express';
-import { getProfile, updateProfile, changePassword, completeOnboarding } from './users.controller.js';
-import { authenticate } from '../../middleware/auth.js';
+import {
+  getProfile,
+  updateProfile,
+  changePassword,
+  completeOnboarding,
+  getSessions,
+  revokeSession,
+  revokeAllSessions,
+  requestDataExport,
+  getDataExport,
+  downloadDataExport,
+  requestAccountDeletion,
+  getMyApiKeys,
+  createMyApiKey,
+  rotateMyApiKey,
+  revokeMyApiKey
+} from './users.controller.js';
+import { authenticate, isCollaborator } from '../../middleware/auth.js';
 
 const router = express.Router();
 
@@ -19,4 +35,37 @@ router.put('/password', changePassword);
 // POST /api/v1/users/onboarding
 router.post('/onboarding', completeOnboarding);
 
+// GET /api/v1/users/sessions
+router.get('/sessions', getSessions);
+
+// DELETE /api/v1/users/sessions (log out everywhere)
+router.delete('/sessions', revokeAllSessions);
+
+// DELETE /api/v1/users/sessions/:id
+router.delete('/sessions/:id', revokeSession);
+
+// POST /api/v1/users/me/export
+router.post('/me/export', requestDataExport);
+
+// GET /api/v1/users/me/export/:id
+router.get('/me/export/:id', getDataExport);
+
+// GET /api/v1/users/me/export/:id/download
+router.get('/me/export/:id/download', downloadDataExport);
+
+// DELETE /api/v1/users/me
+router.delete('/me', requestAccountDeletion);
+
+// GET /api/v1/users/api-keys (collaborators)
+router.get('/api-keys', isCollaborator, getMyApiKeys);
+
+// POST /api/v1/users/api-keys (collaborators)
+router.post('/api-keys', isCollaborator, createMyApiKey);
+
+// POST /api/v1/users/api-keys/:id/rotate (collaborators)
+router.post('/api-keys/:id/rotate', isCollaborator, rotateMyApiKey);
+
+// DELETE /api/v1/users/api-keys/:id (collaborators)
+router.delete('/api-keys/:id', isCollaborator, revokeMyApiKey);
+
 export default router;
@@ -0,0 +1,116 @@
+import fs from 'fs';
+import prisma from '../utils/prisma.js';
+
+/**
+ * Permanently delete one account.
+ * Health data is hard-deleted; posts and comments are kept without an author
+ * so other mothers' threads keep their context.
+ * @param {string} userId
+ */
+export const deleteAccount = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      motherProfile: {
+        include: { pregnancies: true }
+      },
+      dataExports: true
+    }
+  });
+
+  if (!user) {
+    return;
+  }
+
+  const motherProfileId = user.motherProfile?.id;
+  const operations = [];
+
+  if (motherProfileId) {
+    operations.push(
+      // Community content: anonymize instead of cascading
+      prisma.post.updateMany({
+        where: { authorId: motherProfileId },
+        data: { authorId: null }
+      }),
+      prisma.comment.updateMany({
+        where: { authorId: motherProfileId },
+        data: { authorId: null }
+      }),
+      prisma.group.updateMany({
+        where: { createdById: motherProfileId },
+        data: { createdById: null }
+      })
+    );
+
+    // Health data: hard delete, postpartum records before the pregnancies they reference
+    operations.push(
+      prisma.postpartumLog.deleteMany({ where: { motherProfileId } }),
+      prisma.baby.deleteMany({ where: { motherProfileId } })
+    );
+
+    const pregnancyIds = user.motherProfile.pregnancies.map(pregnancy => pregnancy.id);
+
+    if (pregnancyIds.length > 0) {
+      const pregnancyId = { in: pregnancyIds };
+
+      operations.push(
+        prisma.symptomLog.deleteMany({ where: { pregnancyId } }),
+        prisma.checklistItem.deleteMany({ where: { pregnancyId } }),
+        prisma.kickSession.deleteMany({ where: { pregnancyId } }),
+        prisma.contraction.deleteMany({ where: { session: { pregnancyId } } }),
+        prisma.contractionSession.deleteMany({ where: { pregnancyId } }),
+        prisma.weightLog.deleteMany({ where: { pregnancyId } }),
+        prisma.prenatalAppointment.deleteMany({ where: { pregnancyId } }),
+        prisma.pregnancy.deleteMany({ where: { id: pregnancyId } })
+      );
+    }
+  }
+
+  operations.push(
+    // Uploads referenced by kept posts stay, detached from the account
+    prisma.media.updateMany({
+      where: { userId },
+      data: { userId: null }
+    }),
+    prisma.loginAttempt.deleteMany({ where: { userId } }),
+    // Cascades to profiles, sessions, tokens, reactions, enrollments, notifications...
+    prisma.user.delete({ where: { id: userId } })
+  );
+
+  await prisma.$transaction(operations);
+
+  // Generated export archives hold a full copy of the data
+  for (const dataExport of user.dataExports) {
+    if (dataExport.filePath) {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+    }
+  }
+};
+
+/**
+ * Delete every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts deleted
+ */
+export const processScheduledDeletions = async () => {
+  const dueUsers = await prisma.user.findMany({
+    where: { deletionScheduledAt: { lte: new Date() } },
+    select: { id: true }
+  });
+
+  let deleted = 0;
+
+  for (const { id } of dueUsers) {
+    try {
+      await deleteAccount(id);
+      deleted++;
+    } catch (error) {
+      console.error(`Account deletion job error (user ${id}):`, error);
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`🗑️  Deleted ${deleted} account(s) after grace period`);
+  }
+
+  return deleted;
+};
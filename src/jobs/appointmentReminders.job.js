@@ -0,0 +1,87 @@
+import prisma from '../utils/prisma.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_HOURS = parseInt(process.env.APPOINTMENT_REMINDER_HOURS) || 24;
+
+/**
+ * Date and time of an appointment in the app's timezone, e.g. "21/10/2026, 14:30"
+ * @param {Date} date
+ * @returns {string}
+ */
+const formatAppointmentTime = (date) => {
+  return date.toLocaleString('pt-BR', {
+    timeZone: process.env.APP_TIMEZONE || 'America/Sao_Paulo',
+    dateStyle: 'short',
+    timeStyle: 'short'
+  });
+};
+
+/**
+ * Notify mothers of appointments starting within APPOINTMENT_REMINDER_HOURS.
+ * Each appointment is reminded once; rescheduling clears reminderSentAt.
+ * @returns {Promise<number>} Number of reminders sent
+ */
+export const sendAppointmentReminders = async () => {
+  const now = new Date();
+
+  const dueAppointments = await prisma.prenatalAppointment.findMany({
+    where: {
+      status: 'SCHEDULED',
+      reminderSentAt: null,
+      scheduledAt: {
+        gt: now,
+        lte: new Date(now.getTime() + REMINDER_HOURS * HOUR_MS)
+      },
+      pregnancy: { status: 'ACTIVE' }
+    },
+    include: {
+      pregnancy: { select: { motherProfileId: true } }
+    }
+  });
+
+  let sent = 0;
+
+  for (const appointment of dueAppointments) {
+    try {
+      // Claim and notify together: overlapping runs never remind twice, and a
+      // failed notification releases the claim for the next run
+      const claimed = await prisma.$transaction(async (tx) => {
+        const { count } = await tx.prenatalAppointment.updateMany({
+          where: { id: appointment.id, reminderSentAt: null },
+          data: { reminderSentAt: now }
+        });
+
+        if (count === 0) {
+          return false;
+        }
+
+        const details = [appointment.provider, appointment.location].filter(Boolean).join(' - ');
+
+        await tx.notification.create({
+          data: {
+            userId: appointment.pregnancy.motherProfileId,
+            type: 'APPOINTMENT_REMINDER',
+            title: `Lembrete: ${appointment.title || 'consulta de pré-natal'}`,
+            message: `Sua consulta está marcada para ${formatAppointmentTime(appointment.scheduledAt)}`
+              + (details ? ` (${details})` : '') + '.',
+            data: { appointmentId: appointment.id }
+          }
+        });
+
+        return true;
+      });
+
+      if (claimed) {
+        sent++;
+      }
+    } catch (error) {
+      console.error(`Appointment reminder job error (appointment ${appointment.id}):`, error);
+    }
+  }
+
+  if (sent > 0) {
+    console.log(`📅 Sent ${sent} appointment reminder(s)`);
+  }
+
+  return sent;
+};
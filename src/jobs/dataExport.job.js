@@ -0,0 +1,315 @@
+import fs from 'fs';
+import path from 'path';
+import archiver from 'archiver';
+import prisma from '../utils/prisma.js';
+import { sanitizeUser } from '../utils/sanitize.js';
+
+const EXPORTS_DIR = process.env.EXPORTS_DIR || 'exports';
+const EXPORT_EXPIRES_DAYS = parseInt(process.env.DATA_EXPORT_EXPIRES_DAYS) || 7;
+const EXPORT_STUCK_MINUTES = parseInt(process.env.DATA_EXPORT_STUCK_MINUTES) || 30;
+
+/**
+ * Gather everything stored about a user, one section per entity
+ * @param {string} userId
+ * @returns {Promise<Object>} { sectionName: Object|Array }
+ */
+const collectUserData = async (userId) => {
+  const user = await prisma.user.findUnique({
+    where: { id: userId },
+    include: {
+      motherProfile: {
+        include: {
+          pregnancies: {
+            include: {
+              symptomLogs: { orderBy: { loggedAt: 'asc' } },
+              checklistItems: { orderBy: { createdAt: 'asc' } },
+              kickSessions: { orderBy: { startedAt: 'asc' } },
+              contractionSessions: {
+                include: { contractions: { orderBy: { startedAt: 'asc' } } },
+                orderBy: { startedAt: 'asc' }
+              },
+              weightLogs: { orderBy: { loggedAt: 'asc' } },
+              appointments: { orderBy: { scheduledAt: 'asc' } }
+            },
+            orderBy: { createdAt: 'asc' }
+          },
+          babies: true,
+          postpartumLogs: { orderBy: { loggedAt: 'asc' } },
+          createdGroups: true,
+          groupMembers: true,
+          posts: true,
+          comments: true,
+          reactions: true,
+          reports: true,
+          enrollments: true,
+          watchHistory: true,
+          classReviews: true,
+          eventRegistrations: true,
+          notifications: true,
+          savedContent: true
+        }
+      },
+      collaboratorProfile: {
+        include: {
+          classes: true,
+          events: true
+        }
+      },
+      adminProfile: true
+    }
+  });
+
+  const media = await prisma.media.findMany({
+    where: { userId },
+    orderBy: { uploadedAt: 'asc' }
+  });
+
+  const { motherProfile, collaboratorProfile, adminProfile, ...account } = sanitizeUser(user);
+  const data = { account };
+
+  if (motherProfile) {
+    const {
+      pregnancies,
+      babies,
+      postpartumLogs,
+      createdGroups,
+      groupMembers,
+      posts,
+      comments,
+      reactions,
+      reports,
+      enrollments,
+      watchHistory,
+      classReviews,
+      eventRegistrations,
+      notifications,
+      savedContent,
+      ...profile
+    } = motherProfile;
+
+    Object.assign(data, {
+      profile,
+      pregnancies: pregnancies.map(({
+        symptomLogs,
+        checklistItems,
+        kickSessions,
+        contractionSessions,
+        weightLogs,
+        appointments,
+        ...pregnancy
+      }) => pregnancy),
+      // Rows keep their pregnancyId, so one CSV per entity still covers every pregnancy
+      symptomLogs: pregnancies.flatMap(pregnancy => pregnancy.symptomLogs),
+      checklistItems: pregnancies.flatMap(pregnancy => pregnancy.checklistItems),
+      kickSessions: pregnancies.flatMap(pregnancy => pregnancy.kickSessions),
+      contractionSessions: pregnancies.flatMap(pregnancy =>
+        pregnancy.contractionSessions.map(({ contractions, ...session }) => session)
+      ),
+      contractions: pregnancies.flatMap(pregnancy =>
+        pregnancy.contractionSessions.flatMap(session => session.contractions)
+      ),
+      weightLogs: pregnancies.flatMap(pregnancy => pregnancy.weightLogs),
+      appointments: pregnancies.flatMap(pregnancy => pregnancy.appointments),
+      babies,
+      postpartumLogs,
+      groupsCreated: createdGroups,
+      groupMemberships: groupMembers,
+      posts,
+      comments,
+      reactions,
+      reports,
+      enrollments,
+      watchHistory,
+      classReviews,
+      eventRegistrations,
+      notifications,
+      savedContent
+    });
+  }
+
+  if (collaboratorProfile) {
+    const { classes, events, ...profile } = collaboratorProfile;
+    Object.assign(data, { profile, classes, events });
+  }
+
+  if (adminProfile) {
+    data.profile = adminProfile;
+  }
+
+  data.media = media;
+
+  return data;
+};
+
+/**
+ * Format a value for a CSV cell
+ * @param {*} value
+ * @returns {string}
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+
+  const text = value instanceof Date
+    ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value) : String(value);
+
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Convert rows to CSV (columns are the union of all keys)
+ * @param {Array<Object>} rows
+ * @returns {string}
+ */
+const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const lines = [columns.join(',')];
+
+  for (const row of rows) {
+    lines.push(columns.map(column => toCsvCell(row[column])).join(','));
+  }
+
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Write the export archive: data.json plus one CSV per section
+ * @param {string} filePath
+ * @param {Object} data
+ */
+const writeArchive = async (filePath, data) => {
+  await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+  const output = fs.createWriteStream(filePath);
+  const archive = archiver('zip', { zlib: { level: 9 } });
+
+  // A disk error on the file (ENOSPC, EACCES) must fail the export, not crash the process
+  const finished = new Promise((resolve, reject) => {
+    output.on('close', resolve);
+    output.on('error', (error) => {
+      archive.abort();
+      reject(error);
+    });
+    archive.on('error', reject);
+  });
+
+  archive.pipe(output);
+  archive.append(JSON.stringify(data, null, 2), { name: 'data.json' });
+
+  for (const [section, value] of Object.entries(data)) {
+    const rows = Array.isArray(value) ? value : [value];
+    archive.append(toCsv(rows), { name: `csv/${section}.csv` });
+  }
+
+  archive.append(
+    'Exportação de dados pessoais - Mamacita (LGPD, art. 18)\n\n'
+    + 'data.json: todos os seus dados em formato estruturado\n'
+    + 'csv/: os mesmos dados, uma planilha por tipo de registro\n',
+    { name: 'LEIA-ME.txt' }
+  );
+
+  await Promise.all([archive.finalize(), finished]);
+};
+
+/**
+ * Build the archive for an export request and mark it READY (or FAILED)
+ * @param {string} exportId
+ */
+export const processDataExport = async (exportId) => {
+  const dataExport = await prisma.dataExport.update({
+    where: { id: exportId },
+    data: { status: 'PROCESSING' }
+  });
+
+  try {
+    const data = await collectUserData(dataExport.userId);
+    const filePath = path.join(EXPORTS_DIR, `${dataExport.userId}-${dataExport.id}.zip`);
+
+    await writeArchive(filePath, data);
+
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: {
+        status: 'READY',
+        filePath,
+        completedAt: new Date(),
+        expiresAt: new Date(Date.now() + EXPORT_EXPIRES_DAYS * 24 * 60 * 60 * 1000)
+      }
+    });
+  } catch (error) {
+    console.error('Data export job error:', error);
+    await prisma.dataExport.update({
+      where: { id: exportId },
+      data: { status: 'FAILED', error: error.message }
+    });
+  }
+};
+
+/**
+ * Run an export in the background, after the response is sent
+ * @param {string} exportId
+ */
+export const enqueueDataExport = (exportId) => {
+  setImmediate(() => {
+    processDataExport(exportId).catch(error => console.error('Data export job error:', error));
+  });
+};
+
+/**
+ * Fail exports left PENDING or PROCESSING by a restart, so the user can
+ * request a new one (requestDataExport refuses while one is in progress)
+ * @returns {Promise<number>} Number of exports failed
+ */
+export const failStuckDataExports = async () => {
+  const { count } = await prisma.dataExport.updateMany({
+    where: {
+      status: { in: ['PENDING', 'PROCESSING'] },
+      createdAt: { lt: new Date(Date.now() - EXPORT_STUCK_MINUTES * 60 * 1000) }
+    },
+    data: { status: 'FAILED', error: 'Exportação interrompida. Solicite uma nova exportação' }
+  });
+
+  if (count > 0) {
+    console.log(`⚠️  Failed ${count} interrupted data export(s)`);
+  }
+
+  return count;
+};
+
+/**
+ * Delete archives whose download link expired; they hold a full copy of
+ * the user's health data
+ * @returns {Promise<number>} Number of archives deleted
+ */
+export const deleteExpiredExportArchives = async () => {
+  const expiredExports = await prisma.dataExport.findMany({
+    where: {
+      filePath: { not: null },
+      expiresAt: { lte: new Date() }
+    },
+    select: { id: true, filePath: true }
+  });
+
+  let deleted = 0;
+
+  for (const dataExport of expiredExports) {
+    try {
+      await fs.promises.rm(dataExport.filePath, { force: true });
+      await prisma.dataExport.update({
+        where: { id: dataExport.id },
+        data: { filePath: null }
+      });
+      deleted++;
+    } catch (error) {
+      console.error(`Data export cleanup error (export ${dataExport.id}):`, error);
+    }
+  }
+
+  if (deleted > 0) {
+    console.log(`🗑️  Deleted ${deleted} expired data export archive(s)`);
+  }
+
+  return deleted;
+};
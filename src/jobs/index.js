@@ -0,0 +1,39 @@
+import cron from 'node-cron';
+import { processScheduledDeletions } from './accountDeletion.job.js';
+import { sendAppointmentReminders } from './appointmentReminders.job.js';
+import { failStuckDataExports, deleteExpiredExportArchives } from './dataExport.job.js';
+
+/**
+ * Wrap a job so a failure is logged instead of crashing the scheduler
+ * @param {string} name
+ * @param {Function} job
+ * @returns {Function}
+ */
+const runSafely = (name, job) => async () => {
+  try {
+    await job();
+  } catch (error) {
+    console.error(`Scheduled job "${name}" failed:`, error);
+  }
+};
+
+/**
+ * Register scheduled jobs (disabled with ENABLE_JOBS=false)
+ */
+export const startJobs = () => {
+  if (process.env.ENABLE_JOBS === 'false') {
+    return;
+  }
+
+  // Every hour: accounts whose deletion grace period ended
+  cron.schedule('0 * * * *', runSafely('account-deletion', processScheduledDeletions));
+
+  // Every 15 minutes: data exports interrupted by a restart
+  cron.schedule('*/15 * * * *', runSafely('stuck-data-exports', failStuckDataExports));
+
+  // Every hour: export archives past their download window
+  cron.schedule('30 * * * *', runSafely('expired-data-exports', deleteExpiredExportArchives));
+
+  // Every 15 minutes: reminders for upcoming prenatal appointments
+  cron.schedule('*/15 * * * *', runSafely('appointment-reminders', sendAppointmentReminders));
+};
@@ -1,5 +1,58 @@
 import { verifyToken } from '../utils/jwt.js';
 import prisma from '../utils/prisma.js';
+import { isTwoFactorMandatory } from '../utils/totp.js';
+import { touchSession } from '../utils/session.js';
+import { hasPermission } from '../utils/permissions.js';
+import { findActiveApiKey, touchApiKey } from '../utils/apiKeys.js';
+
+const userInclude = {
+  motherProfile: true,
+  collaboratorProfile: true,
+  adminProfile: true
+};
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Authenticate a support (impersonation) token: attach the target user,
+ * block writes unless the session allows them
+ */
+const authenticateImpersonation = async (req, res, next, decoded) => {
+  const impersonation = await prisma.impersonationSession.findUnique({
+    where: { id: decoded.imp },
+    include: { target: { include: userInclude } }
+  });
+
+  if (
+    !impersonation
+    || impersonation.targetUserId !== decoded.userId
+    || impersonation.endedAt
+    || impersonation.expiresAt <= new Date()
+  ) {
+    return res.status(401).json({
+      success: false,
+      message: 'Sessão de suporte encerrada',
+      code: 'IMPERSONATION_ENDED'
+    });
+  }
+
+  res.set('X-Impersonation', 'true');
+
+  if (!impersonation.allowWrites && !READ_ONLY_METHODS.includes(req.method)) {
+    return res.status(403).json({
+      success: false,
+      message: 'Ação não permitida durante a sessão de suporte (somente leitura)',
+      code: 'IMPERSONATION_READ_ONLY'
+    });
+  }
+
+  req.user = impersonation.target;
+  req.userId = impersonation.target.id;
+  req.userRole = impersonation.target.role;
+  req.impersonation = impersonation;
+
+  next();
+};
 
 /**
  * Middleware to verify JWT token and attach user to request
@@ -18,18 +71,26 @@ export const authenticate = async (req, res, next) => {
 
     const token = authHeader.split(' ')[1];
 
-    // Verify token
+    // Verify token (single-purpose tokens are never access tokens)
     const decoded = verifyToken(token);
 
-    // Get user from database
-    const user = await prisma.user.findUnique({
-      where: { id: decoded.userId },
-      include: {
-        motherProfile: true,
-        collaboratorProfile: true,
-        adminProfile: true
-      }
-    });
+    if (decoded.purpose) {
+      throw new Error('Token inválido ou expirado');
+    }
+
+    // Support tokens carry an impersonation session instead of a login session
+    if (decoded.imp) {
+      return await authenticateImpersonation(req, res, next, decoded);
+    }
+
+    // Get user and session from database
+    const [user, session] = await Promise.all([
+      prisma.user.findUnique({
+        where: { id: decoded.userId },
+        include: userInclude
+      }),
+      decoded.sid ? prisma.session.findUnique({ where: { id: decoded.sid } }) : null
+    ]);
 
     if (!user) {
       return res.status(401).json({
@@ -38,10 +99,22 @@ export const authenticate = async (req, res, next) => {
       });
     }
 
+    // Revoked sessions are rejected immediately, not when the token expires
+    if (!session || session.userId !== user.id || session.revokedAt) {
+      return res.status(401).json({
+        success: false,
+        message: 'Sessão encerrada. Faça login novamente',
+        code: 'SESSION_REVOKED'
+      });
+    }
+
+    await touchSession(session);
+
     // Attach user to request
     req.user = user;
     req.userId = user.id;
     req.userRole = user.role;
+    req.sessionId = session.id;
 
     next();
   } catch (error) {
@@ -52,6 +125,79 @@ export const authenticate = async (req, res, next) => {
   }
 };
 
+/**
+ * Middleware to authenticate an integration through the X-API-Key header.
+ * Collaborator keys act as that collaborator (req.user); partner keys have no user.
+ */
+export const authenticateApiKey = async (req, res, next) => {
+  try {
+    const key = req.get('x-api-key');
+
+    if (!key) {
+      return res.status(401).json({
+        success: false,
+        message: 'Chave de API não fornecida'
+      });
+    }
+
+    const apiKey = await findActiveApiKey(key);
+
+    if (!apiKey) {
+      return res.status(401).json({
+        success: false,
+        message: 'Chave de API inválida, revogada ou expirada'
+      });
+    }
+
+    await touchApiKey(apiKey, req.ip);
+
+    const user = apiKey.collaboratorProfile?.user || null;
+
+    req.apiKey = apiKey;
+    req.user = user;
+    req.userId = user?.id;
+    req.userRole = user?.role;
+
+    next();
+  } catch (error) {
+    return res.status(401).json({
+      success: false,
+      message: 'Chave de API inválida, revogada ou expirada'
+    });
+  }
+};
+
+/**
+ * Middleware to require a scope on the API key used for the request
+ * @param {string} scope - e.g. "events:write"
+ */
+export const requireScope = (scope) => {
+  return (req, res, next) => {
+    if (!req.apiKey?.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        message: `A chave de API não possui o escopo ${scope}`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware accepting either a user token or an API key with the given scope
+ * @param {string} scope - Scope required when an API key is used
+ */
+export const authenticateOrApiKey = (scope) => {
+  return (req, res, next) => {
+    if (!req.get('x-api-key')) {
+      return authenticate(req, res, next);
+    }
+
+    authenticateApiKey(req, res, () => requireScope(scope)(req, res, next));
+  };
+};
+
 /**
  * Middleware to check if user has specific role(s)
  * @param  {...string} roles - Allowed roles
@@ -86,6 +232,18 @@ export const isMother = authorize('MOTHER');
  */
 export const isCollaborator = authorize('COLLABORATOR');
 
+/**
+ * Middleware to check if the request comes from a collaborator, or from a
+ * partner API key (which has no user)
+ */
+export const isCollaboratorOrPartner = (req, res, next) => {
+  if (!req.user && req.apiKey?.partner) {
+    return next();
+  }
+
+  isCollaborator(req, res, next);
+};
+
 /**
  * Middleware to check if user is an admin
  */
@@ -95,3 +253,64 @@ export const isAdmin = authorize('ADMIN');
  * Middleware to check if user is a collaborator or admin
  */
 export const isCollaboratorOrAdmin = authorize('COLLABORATOR', 'ADMIN');
+
+/**
+ * Middleware to check if an admin's role grants a permission
+ * @param {string} permission - e.g. "reports:manage"
+ */
+export const requirePermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Não autenticado'
+      });
+    }
+
+    const adminRole = req.user.role === 'ADMIN' ? req.user.adminProfile?.role : null;
+
+    if (!adminRole || !hasPermission(adminRole, permission)) {
+      return res.status(403).json({
+        success: false,
+        message: 'Você não tem permissão para acessar este recurso'
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to require a verified email address.
+ * Only enforced when REQUIRE_VERIFIED_EMAIL_TO_POST=true.
+ */
+export const requireVerifiedEmail = (req, res, next) => {
+  if (process.env.REQUIRE_VERIFIED_EMAIL_TO_POST !== 'true') {
+    return next();
+  }
+
+  if (!req.user?.isVerified) {
+    return res.status(403).json({
+      success: false,
+      message: 'Confirme seu email antes de publicar na comunidade',
+      code: 'EMAIL_NOT_VERIFIED'
+    });
+  }
+
+  next();
+};
+
+/**
+ * Middleware to block roles that must use 2FA until they enrol
+ */
+export const requireTwoFactorEnrollment = (req, res, next) => {
+  if (isTwoFactorMandatory(req.user) && !req.user.twoFactorEnabled) {
+    return res.status(403).json({
+      success: false,
+      message: 'Ative a autenticação em dois fatores para acessar este recurso',
+      code: 'TWO_FACTOR_REQUIRED'
+    });
+  }
+
+  next();
+};
@@ -11,10 +11,14 @@ import { errorHandler } from './middleware/errorHandler.js';
 import { logger } from './middleware/logger.js';
 import { notFound } from './middleware/notFound.js';
 
+// Import scheduled jobs
+import { startJobs } from './jobs/index.js';
+
 // Import routes
 import authRoutes from './domains/auth/auth.routes.js';
 import userRoutes from './domains/users/users.routes.js';
 import pregnancyRoutes from './domains/pregnancy/pregnancy.routes.js';
+import postpartumRoutes from './domains/postpartum/postpartum.routes.js';
 import communityRoutes from './domains/community/community.routes.js';
 import classRoutes from './domains/classes/classes.routes.js';
 import eventRoutes from './domains/events/events.routes.js';
@@ -27,6 +31,9 @@ const app = express();
 const PORT = process.env.PORT || 3000;
 const API_VERSION = process.env.API_VERSION || 'v1';
 
+// Trust the platform proxy so req.ip is the client IP (login throttling, rate limits)
+app.set('trust proxy', process.env.TRUST_PROXY !== undefined ? parseInt(process.env.TRUST_PROXY) : 1);
+
 // ============================================================================
 // MIDDLEWARE
 // ============================================================================
@@ -93,6 +100,7 @@ app.use(`${BASE_PATH}/users`, userRoutes);
 
 // Core Domains
 app.use(`${BASE_PATH}/pregnancy`, pregnancyRoutes);
+app.use(`${BASE_PATH}/postpartum`, postpartumRoutes);
 app.use(`${BASE_PATH}/community`, communityRoutes);
 app.use(`${BASE_PATH}/classes`, classRoutes);
 app.use(`${BASE_PATH}/events`, eventRoutes);
@@ -127,6 +135,8 @@ app.listen(PORT, () => {
   console.log(`   API Version: ${API_VERSION}`);
   console.log(`   Base URL: http://localhost:${PORT}/api/${API_VERSION}`);
   console.log('   ====================================\n');
+
+  startJobs();
 });
 
 export default app;
@@ -0,0 +1,133 @@
+import { detectFiveOneOne, getStatistics, analyzeSession } from '../contractionPattern.js';
+
+const START = new Date('2026-10-19T08:00:00Z').getTime();
+
+/**
+ * Finished contractions starting `intervals[i]` seconds after the previous one
+ * @param {Array<number>} intervals - Seconds between starts, one less than durations
+ * @param {Array<number>} durations - Seconds each contraction lasted
+ */
+const timeline = (intervals, durations) => {
+  let startedAt = START;
+
+  return durations.map((duration, index) => {
+    if (index > 0) {
+      startedAt += intervals[index - 1] * 1000;
+    }
+
+    return {
+      id: `c${index}`,
+      startedAt: new Date(startedAt),
+      endedAt: new Date(startedAt + duration * 1000)
+    };
+  });
+};
+
+// `count` contractions every `interval` seconds, each lasting `duration`
+const regular = (count, interval, duration) =>
+  timeline(Array(count - 1).fill(interval), Array(count).fill(duration));
+
+describe('detectFiveOneOne', () => {
+  test('detects an hour of contractions every 5 minutes lasting 1 minute', () => {
+    expect(detectFiveOneOne(regular(13, 300, 60))).toEqual({
+      detected: true,
+      runMinutes: 61,
+      runContractions: 13
+    });
+  });
+
+  test('needs the run to span at least 60 minutes', () => {
+    expect(detectFiveOneOne(regular(12, 300, 60))).toMatchObject({ detected: false, runMinutes: 56 });
+    // 13 starts 270 s apart plus a 90 s contraction: exactly 60 minutes
+    expect(detectFiveOneOne(regular(14, 270, 90))).toMatchObject({ detected: true, runMinutes: 60 });
+    expect(detectFiveOneOne(regular(14, 270, 80))).toMatchObject({ detected: false, runMinutes: 59.8 });
+  });
+
+  test('tolerates intervals up to 5:10 and breaks the run at 5:11', () => {
+    const within = timeline([310, ...Array(11).fill(300)], Array(13).fill(60));
+    const beyond = timeline([311, ...Array(11).fill(300)], Array(13).fill(60));
+
+    expect(detectFiveOneOne(within)).toMatchObject({ detected: true, runContractions: 13 });
+    expect(detectFiveOneOne(beyond)).toMatchObject({ detected: false, runContractions: 12 });
+  });
+
+  test('tolerates durations down to 50 seconds', () => {
+    expect(detectFiveOneOne(regular(13, 300, 50)).detected).toBe(true);
+    expect(detectFiveOneOne(regular(13, 300, 49))).toEqual({ detected: false, runMinutes: 0, runContractions: 0 });
+  });
+
+  test('a short contraction breaks the run', () => {
+    const durations = Array(15).fill(60);
+    durations[2] = 40;
+
+    expect(detectFiveOneOne(timeline(Array(14).fill(300), durations))).toMatchObject({
+      detected: false,
+      runContractions: 12
+    });
+  });
+
+  test('only the latest run counts', () => {
+    const contractions = timeline([...Array(12).fill(300), 3600], Array(14).fill(60));
+
+    expect(detectFiveOneOne(contractions)).toEqual({ detected: false, runMinutes: 1, runContractions: 1 });
+  });
+
+  test('returns nothing without contractions', () => {
+    expect(detectFiveOneOne([])).toEqual({ detected: false, runMinutes: 0, runContractions: 0 });
+  });
+});
+
+describe('getStatistics', () => {
+  test('averages durations and start-to-start intervals', () => {
+    expect(getStatistics(timeline([300, 240, 360], [60, 50, 70, 60]))).toEqual({
+      count: 4,
+      averageDurationSeconds: 60,
+      averageIntervalSeconds: 300,
+      intervalVariation: 0.16,
+      isRegular: true
+    });
+  });
+
+  test('needs three intervals to call contractions regular', () => {
+    expect(getStatistics(regular(3, 300, 60))).toMatchObject({ intervalVariation: 0, isRegular: false });
+    expect(getStatistics(timeline([120, 600, 300], [60, 60, 60, 60])).isRegular).toBe(false);
+  });
+
+  test('handles a single contraction', () => {
+    expect(getStatistics(regular(1, 300, 45))).toEqual({
+      count: 1,
+      averageDurationSeconds: 45,
+      averageIntervalSeconds: null,
+      intervalVariation: null,
+      isRegular: false
+    });
+  });
+});
+
+describe('analyzeSession', () => {
+  test('times every contraction and leaves the running one out of the analysis', () => {
+    const contractions = regular(3, 300, 60);
+    const running = { id: 'running', startedAt: new Date(START + 900 * 1000), endedAt: null };
+
+    const { contractions: timed, analysis } = analyzeSession({ id: 's1', contractions: [running, ...contractions] });
+
+    expect(timed.map(contraction => contraction.id)).toEqual(['c0', 'c1', 'c2', 'running']);
+    expect(timed[0]).toMatchObject({ durationSeconds: 60, intervalSeconds: null });
+    expect(timed[3]).toMatchObject({ durationSeconds: null, intervalSeconds: 300 });
+    expect(analysis.count).toBe(3);
+  });
+
+  test('reports rolling windows back from the latest contraction', () => {
+    const { analysis } = analyzeSession({ contractions: regular(13, 300, 60) });
+
+    expect(analysis.windows).toEqual([
+      expect.objectContaining({ minutes: 30, count: 7 }),
+      expect.objectContaining({ minutes: 60, count: 13 })
+    ]);
+  });
+
+  test('adds hospital guidance only when 5-1-1 is detected', () => {
+    expect(analyzeSession({ contractions: regular(13, 300, 60) }).analysis.guidance).toMatch(/maternidade/);
+    expect(analyzeSession({ contractions: regular(12, 300, 60) }).analysis.guidance).toBeNull();
+  });
+});
@@ -0,0 +1,150 @@
+import {
+  TERM_DAYS,
+  GestationalAgeError,
+  resolveDueDate,
+  getTrimester,
+  getGestationalAge,
+  getDateAtWeek,
+  assertOngoingPregnancy
+} from '../gestationalAge.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LMP = new Date('2026-01-01T00:00:00Z');
+const LMP_DUE_DATE = new Date(LMP.getTime() + TERM_DAYS * DAY_MS);
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+/**
+ * Dating input whose ultrasound due date is `differenceDays` after the LMP one
+ * for a scan measuring usWeeks+usDays
+ */
+const datingWithScan = (usWeeks, usDays, differenceDays) => ({
+  lmpDate: LMP,
+  ultrasoundDate: addDays(LMP, usWeeks * 7 + usDays + differenceDays),
+  ultrasoundWeeks: usWeeks,
+  ultrasoundDays: usDays
+});
+
+describe('resolveDueDate', () => {
+  test('dates by LMP with Naegele\'s rule', () => {
+    const result = resolveDueDate({ lmpDate: '2026-01-01' });
+
+    expect(result.datingMethod).toBe('LMP');
+    expect(result.dueDate).toEqual(LMP_DUE_DATE);
+  });
+
+  test('dates by ultrasound from the measured gestational age', () => {
+    const result = resolveDueDate({ ultrasoundDate: '2026-03-01', ultrasoundWeeks: 8, ultrasoundDays: 3 });
+
+    expect(result.datingMethod).toBe('ULTRASOUND');
+    expect(result.ultrasoundGestationalDays).toBe(59);
+    expect(result.dueDate).toEqual(addDays(new Date('2026-03-01T00:00:00Z'), TERM_DAYS - 59));
+  });
+
+  // ACOG: redate when the difference exceeds the threshold for the scan's age
+  test.each([
+    [8, 6, 5, 'LMP'],
+    [8, 6, 6, 'ULTRASOUND'],
+    [8, 6, -6, 'ULTRASOUND'],
+    [9, 0, 7, 'LMP'],
+    [9, 0, 8, 'ULTRASOUND'],
+    [15, 6, 7, 'LMP'],
+    [15, 6, 8, 'ULTRASOUND'],
+    [16, 0, 10, 'LMP'],
+    [16, 0, 11, 'ULTRASOUND'],
+    [21, 6, 10, 'LMP'],
+    [22, 0, 14, 'LMP'],
+    [22, 0, 15, 'ULTRASOUND'],
+    [28, 0, 21, 'LMP'],
+    [28, 0, 22, 'ULTRASOUND']
+  ])('scan at %iw%id differing by %i days keeps %s', (usWeeks, usDays, differenceDays, method) => {
+    const result = resolveDueDate(datingWithScan(usWeeks, usDays, differenceDays));
+
+    expect(result.datingMethod).toBe(method);
+    expect(result.dueDate).toEqual(
+      method === 'LMP' ? LMP_DUE_DATE : addDays(LMP_DUE_DATE, differenceDays)
+    );
+  });
+
+  test('an explicit dating method wins over the thresholds', () => {
+    const result = resolveDueDate({ ...datingWithScan(8, 0, 1), datingMethod: 'ULTRASOUND' });
+
+    expect(result.datingMethod).toBe('ULTRASOUND');
+    expect(result.dueDate).toEqual(addDays(LMP_DUE_DATE, 1));
+  });
+
+  test.each([
+    [{}],
+    [{ datingMethod: 'LMP', dueDate: '2026-10-08' }],
+    [{ lmpDate: '2026-01-01', datingMethod: 'GUESS' }],
+    [{ lmpDate: 'not a date' }],
+    [{ ultrasoundDate: '2026-03-01', ultrasoundWeeks: 3 }],
+    [{ ultrasoundDate: '2026-03-01', ultrasoundWeeks: 8, ultrasoundDays: 7 }]
+  ])('rejects invalid input %j', (input) => {
+    expect(() => resolveDueDate(input)).toThrow(GestationalAgeError);
+  });
+});
+
+describe('getGestationalAge', () => {
+  test('counts completed weeks and days from the due date', () => {
+    const age = getGestationalAge(LMP_DUE_DATE, addDays(LMP, 12 * 7 + 3));
+
+    expect(age).toMatchObject({
+      weeks: 12,
+      days: 3,
+      totalDays: 87,
+      currentWeek: 12,
+      trimester: 1,
+      daysRemaining: TERM_DAYS - 87,
+      termStatus: 'preterm',
+      isPastDueDate: false
+    });
+  });
+
+  test.each([
+    [36 * 7 + 6, 'preterm'],
+    [37 * 7, 'early_term'],
+    [39 * 7, 'full_term'],
+    [41 * 7, 'late_term'],
+    [42 * 7, 'post_term']
+  ])('classifies %i days as %s', (totalDays, termStatus) => {
+    expect(getGestationalAge(LMP_DUE_DATE, addDays(LMP, totalDays)).termStatus).toBe(termStatus);
+  });
+
+  test('keeps currentWeek between 1 and 42', () => {
+    expect(getGestationalAge(LMP_DUE_DATE, addDays(LMP, 3)).currentWeek).toBe(1);
+    expect(getGestationalAge(LMP_DUE_DATE, addDays(LMP, 44 * 7)).currentWeek).toBe(42);
+  });
+
+  test('ignores the time of day', () => {
+    const morning = getGestationalAge(LMP_DUE_DATE, new Date('2026-03-01T00:30:00Z'));
+    const night = getGestationalAge(LMP_DUE_DATE, new Date('2026-03-01T23:30:00Z'));
+
+    expect(morning.totalDays).toBe(night.totalDays);
+  });
+});
+
+describe('getTrimester', () => {
+  test.each([[13, 1], [14, 2], [27, 2], [28, 3]])('week %i is trimester %i', (week, trimester) => {
+    expect(getTrimester(week)).toBe(trimester);
+  });
+});
+
+describe('getDateAtWeek', () => {
+  test('returns the day the pregnancy reaches Nw0d', () => {
+    expect(getDateAtWeek(LMP_DUE_DATE, 20)).toEqual(addDays(LMP, 20 * 7));
+    expect(getDateAtWeek(LMP_DUE_DATE, 40)).toEqual(LMP_DUE_DATE);
+  });
+});
+
+describe('assertOngoingPregnancy', () => {
+  test('accepts due dates from 0w0d to 42w6d', () => {
+    expect(() => assertOngoingPregnancy(LMP_DUE_DATE, LMP)).not.toThrow();
+    expect(() => assertOngoingPregnancy(LMP_DUE_DATE, addDays(LMP, 42 * 7 + 6))).not.toThrow();
+  });
+
+  test('rejects due dates too far ahead or already past 42w6d', () => {
+    expect(() => assertOngoingPregnancy(LMP_DUE_DATE, addDays(LMP, -1))).toThrow(GestationalAgeError);
+    expect(() => assertOngoingPregnancy(LMP_DUE_DATE, addDays(LMP, 43 * 7))).toThrow(GestationalAgeError);
+  });
+});
@@ -0,0 +1,109 @@
+import { TERM_DAYS } from '../gestationalAge.js';
+import { RECOMMENDED_APPOINTMENTS, getRecommendedSchedule } from '../prenatalSchedule.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LMP = new Date('2026-01-01T00:00:00Z');
+const pregnancy = { dueDate: new Date(LMP.getTime() + TERM_DAYS * DAY_MS) };
+
+// Midday of gestational week+day
+const atWeek = (week, day = 0) => new Date(LMP.getTime() + (week * 7 + day) * DAY_MS + 12 * 60 * 60 * 1000);
+
+const appointment = (fields) => ({ status: 'SCHEDULED', recommendationKey: null, ...fields });
+
+const itemStatus = (schedule, key) => schedule.items.find(item => item.key === key).status;
+
+describe('getRecommendedSchedule items', () => {
+  test('lists every recommendation with the dates of its week range', () => {
+    const { currentWeek, items } = getRecommendedSchedule(pregnancy, [], atWeek(20));
+    const ultrasound = items.find(item => item.key === 'first_trimester_ultrasound');
+
+    expect(currentWeek).toBe(20);
+    expect(items.map(item => item.key)).toEqual(RECOMMENDED_APPOINTMENTS.map(item => item.key));
+    expect(ultrasound.fromDate).toEqual(new Date(LMP.getTime() + 11 * 7 * DAY_MS));
+    expect(ultrasound.toDate).toEqual(new Date(LMP.getTime() + (14 * 7 - 1) * DAY_MS));
+  });
+
+  test('marks items upcoming, due and overdue by the current week', () => {
+    const schedule = getRecommendedSchedule(pregnancy, [], atWeek(24, 3));
+
+    expect(itemStatus(schedule, 'first_visit')).toBe('overdue');
+    expect(itemStatus(schedule, 'second_trimester_ultrasound')).toBe('due');
+    expect(itemStatus(schedule, 'glucose_tolerance_test')).toBe('due');
+    expect(itemStatus(schedule, 'third_trimester_labs')).toBe('upcoming');
+  });
+
+  test('an item is still due during the last day of its range', () => {
+    const schedule = getRecommendedSchedule(pregnancy, [], atWeek(13, 6));
+
+    expect(itemStatus(schedule, 'first_trimester_ultrasound')).toBe('due');
+  });
+
+  test('matches appointments booked from a suggestion, whatever their date', () => {
+    const appointments = [
+      appointment({ type: 'LAB_TEST', scheduledAt: atWeek(14), recommendationKey: 'first_trimester_labs', status: 'COMPLETED' })
+    ];
+    const schedule = getRecommendedSchedule(pregnancy, appointments, atWeek(20));
+
+    expect(itemStatus(schedule, 'first_trimester_labs')).toBe('completed');
+  });
+
+  test('matches other appointments of the same type inside the range', () => {
+    const inside = appointment({ type: 'ULTRASOUND', scheduledAt: atWeek(13, 6) });
+    const outside = appointment({ type: 'ULTRASOUND', scheduledAt: atWeek(14) });
+
+    expect(itemStatus(getRecommendedSchedule(pregnancy, [inside], atWeek(12)), 'first_trimester_ultrasound'))
+      .toBe('scheduled');
+    expect(itemStatus(getRecommendedSchedule(pregnancy, [outside], atWeek(12)), 'first_trimester_ultrasound'))
+      .toBe('due');
+  });
+
+  test('ignores cancelled appointments', () => {
+    const cancelled = appointment({ type: 'VACCINE', scheduledAt: atWeek(22), status: 'CANCELLED' });
+    const schedule = getRecommendedSchedule(pregnancy, [cancelled], atWeek(37));
+
+    expect(itemStatus(schedule, 'dtpa_vaccine')).toBe('overdue');
+  });
+});
+
+describe('getRecommendedSchedule visits', () => {
+  test.each([[27, 4], [28, 2], [35, 2], [36, 1]])('at week %i visits are every %i weeks', (week, intervalWeeks) => {
+    expect(getRecommendedSchedule(pregnancy, [], atWeek(week)).visits.intervalWeeks).toBe(intervalWeeks);
+  });
+
+  test('a first visit is due right away', () => {
+    const now = atWeek(8);
+
+    expect(getRecommendedSchedule(pregnancy, [], now).visits).toEqual({
+      intervalWeeks: 4,
+      lastVisit: null,
+      nextVisit: null,
+      nextVisitDueBy: now,
+      isOverdue: false
+    });
+  });
+
+  test('the next visit is due one interval after the last one', () => {
+    const lastVisit = appointment({ type: 'PRENATAL_VISIT', scheduledAt: atWeek(29), status: 'COMPLETED' });
+
+    expect(getRecommendedSchedule(pregnancy, [lastVisit], atWeek(30)).visits).toMatchObject({
+      lastVisit,
+      nextVisitDueBy: atWeek(31),
+      isOverdue: false
+    });
+    expect(getRecommendedSchedule(pregnancy, [lastVisit], atWeek(31, 1)).visits.isOverdue).toBe(true);
+  });
+
+  test('nothing is due while a visit is booked', () => {
+    const visits = [
+      appointment({ type: 'PRENATAL_VISIT', scheduledAt: atWeek(20), status: 'COMPLETED' }),
+      appointment({ type: 'PRENATAL_VISIT', scheduledAt: atWeek(30) })
+    ];
+
+    expect(getRecommendedSchedule(pregnancy, visits, atWeek(27)).visits).toMatchObject({
+      lastVisit: visits[0],
+      nextVisit: visits[1],
+      nextVisitDueBy: null,
+      isOverdue: false
+    });
+  });
+});
@@ -0,0 +1,125 @@
+import { jest } from '@jest/globals';
+
+// Default rules as seeded by prisma/seed.js
+const rules = [
+  {
+    id: 'bleeding',
+    name: 'Sangramento vaginal',
+    symptomGroups: [['sangramento', 'sangrando', 'hemorragia', 'perda de sangue']],
+    severity: 'EMERGENCY',
+    guidance: 'Procure a emergência obstétrica.'
+  },
+  {
+    id: 'preeclampsia',
+    name: 'Dor de cabeça forte com inchaço',
+    symptomGroups: [
+      ['dor de cabeça forte', 'dor de cabeça intensa', 'cefaleia'],
+      ['inchaço', 'inchada', 'inchado', 'edema']
+    ],
+    minWeek: 20,
+    severity: 'EMERGENCY',
+    guidance: 'Procure a emergência obstétrica agora.'
+  },
+  {
+    id: 'movements',
+    name: 'Bebê mexendo menos',
+    symptomGroups: [['mexendo menos', 'mexendo pouco', 'não mexe', 'parou de mexer']],
+    minWeek: 28,
+    severity: 'URGENT',
+    guidance: 'Conte os movimentos do bebê.'
+  },
+  {
+    id: 'fever',
+    name: 'Febre',
+    symptomGroups: [['febre']],
+    severity: 'URGENT',
+    guidance: 'Procure atendimento médico hoje.'
+  }
+];
+
+jest.unstable_mockModule('../prisma.js', () => ({
+  default: {
+    redFlagRule: { findMany: jest.fn(async () => rules) }
+  }
+}));
+
+const { findRedFlags, normalizeSymptomGroups, validateRedFlagRule } = await import('../redFlags.js');
+
+const matchedIds = async (symptoms, week = 30) => (await findRedFlags(symptoms, week)).map(flag => flag.id);
+
+describe('findRedFlags', () => {
+  test('matches keywords regardless of case, accents and spacing', async () => {
+    expect(await matchedIds(['SANGRAMENTO'])).toEqual(['bleeding']);
+    expect(await matchedIds(['Dor de cabeca  FORTE', 'pés com INCHAÇO'])).toEqual(['preeclampsia']);
+  });
+
+  test('matches plurals but not other words that contain the keyword', async () => {
+    expect(await matchedIds(['inchaços nas pernas', 'cefaleia'])).toEqual(['preeclampsia']);
+    expect(await matchedIds(['febres à noite'])).toEqual(['fever']);
+    expect(await matchedIds(['antifebre'])).toEqual([]);
+  });
+
+  test.each([
+    'sem sangramento',
+    'não tive febre',
+    'Não tive nenhuma febre',
+    'nenhum sangramento hoje',
+    'nem febre nem sangramento',
+    'sem febre, sem sangramento'
+  ])('ignores the negated phrase "%s"', async (symptom) => {
+    expect(await matchedIds([symptom])).toEqual([]);
+  });
+
+  test('a negation only covers its own clause', async () => {
+    expect(await matchedIds(['sem febre, mas com sangramento'])).toEqual(['bleeding']);
+    expect(await matchedIds(['não dormi bem; febre alta'])).toEqual(['fever']);
+    expect(await matchedIds(['sangramento, não sei o motivo'])).toEqual(['bleeding']);
+  });
+
+  test('a negation far before the keyword does not hide it', async () => {
+    expect(await matchedIds(['não consigo dormir direito e estou com febre'])).toEqual(['fever']);
+  });
+
+  test('keywords that contain a negation still match', async () => {
+    expect(await matchedIds(['o bebê não mexe desde ontem'])).toEqual(['movements']);
+  });
+
+  test('every symptom group must match', async () => {
+    expect(await matchedIds(['dor de cabeça forte'])).toEqual([]);
+    expect(await matchedIds(['dor de cabeça forte', 'sem inchaço'])).toEqual([]);
+  });
+
+  test('respects the week range of a rule', async () => {
+    expect(await matchedIds(['parou de mexer'], 27)).toEqual([]);
+    expect(await matchedIds(['parou de mexer'], 28)).toEqual(['movements']);
+    expect(await matchedIds(['cefaleia', 'edema'], 19)).toEqual([]);
+  });
+
+  test('lists emergencies first', async () => {
+    expect(await matchedIds(['febre', 'sangramento'])).toEqual(['bleeding', 'fever']);
+  });
+
+  test('returns nothing for empty or invalid input', async () => {
+    expect(await matchedIds([])).toEqual([]);
+    expect(await matchedIds(['  '])).toEqual([]);
+    expect(await matchedIds('febre')).toEqual([]);
+  });
+});
+
+describe('rule validation', () => {
+  test('normalizes symptom groups', () => {
+    expect(normalizeSymptomGroups([[' febre ', ''], []])).toEqual([['febre']]);
+    expect(normalizeSymptomGroups(['febre'])).toBeNull();
+  });
+
+  test('requires name, groups and guidance and a valid week range', () => {
+    const rule = { name: 'Febre', symptomGroups: [['febre']], guidance: 'Procure atendimento.' };
+
+    expect(validateRedFlagRule(rule)).toBeNull();
+    expect(validateRedFlagRule({ ...rule, name: ' ' })).not.toBeNull();
+    expect(validateRedFlagRule({ ...rule, symptomGroups: [] })).not.toBeNull();
+    expect(validateRedFlagRule({ ...rule, guidance: '' })).not.toBeNull();
+    expect(validateRedFlagRule({ ...rule, minWeek: 30, maxWeek: 20 })).not.toBeNull();
+    expect(validateRedFlagRule({ ...rule, severity: 'LOW' })).not.toBeNull();
+  });
+});
@@ -0,0 +1,97 @@
+import { jest } from '@jest/globals';
+import {
+  generateTotp,
+  verifyTotp,
+  generateTotpSecret,
+  encryptSecret,
+  decryptSecret,
+  normalizeRecoveryCode
+} from '../totp.js';
+
+// RFC 6238 appendix B seed ("12345678901234567890") in base32
+const RFC_SECRET = 'GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ';
+const PERIOD_MS = 30 * 1000;
+
+describe('generateTotp', () => {
+  // RFC 6238 SHA1 vectors, truncated to our 6 digits
+  test.each([
+    [59, '287082'],
+    [1111111109, '081804'],
+    [1111111111, '050471'],
+    [1234567890, '005924'],
+    [2000000000, '279037'],
+    [20000000000, '353130']
+  ])('matches the RFC 6238 vector at T=%i', (seconds, code) => {
+    expect(generateTotp(RFC_SECRET, seconds * 1000)).toBe(code);
+  });
+
+  test('round-trips a generated secret', () => {
+    const secret = generateTotpSecret();
+
+    expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+    expect(generateTotp(secret, 0)).toMatch(/^\d{6}$/);
+  });
+});
+
+describe('verifyTotp', () => {
+  const now = 1111111111 * 1000;
+  const step = Math.floor(now / PERIOD_MS);
+
+  beforeEach(() => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('accepts the current code and returns its step', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now))).toBe(step);
+  });
+
+  test('accepts one step of drift either way', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - PERIOD_MS))).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + PERIOD_MS))).toBe(step + 1);
+  });
+
+  test('rejects codes outside the window', () => {
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - 2 * PERIOD_MS))).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now + 2 * PERIOD_MS))).toBeNull();
+  });
+
+  test('rejects a replay of an already used step', () => {
+    const code = generateTotp(RFC_SECRET, now);
+
+    expect(verifyTotp(RFC_SECRET, code, step)).toBeNull();
+    expect(verifyTotp(RFC_SECRET, generateTotp(RFC_SECRET, now - PERIOD_MS), step)).toBeNull();
+  });
+
+  test('still accepts a later step after a used one', () => {
+    const code = generateTotp(RFC_SECRET, now + PERIOD_MS);
+
+    expect(verifyTotp(RFC_SECRET, code, step)).toBe(step + 1);
+  });
+
+  test('tolerates spaces and rejects malformed codes', () => {
+    const code = generateTotp(RFC_SECRET, now);
+
+    expect(verifyTotp(RFC_SECRET, `${code.slice(0, 3)} ${code.slice(3)}`)).toBe(step);
+    expect(verifyTotp(RFC_SECRET, '12345')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, '1234567')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef')).toBeNull();
+    expect(verifyTotp(RFC_SECRET, undefined)).toBeNull();
+  });
+});
+
+describe('secret storage and recovery codes', () => {
+  test('decrypts what it encrypts', () => {
+    const stored = encryptSecret(RFC_SECRET);
+
+    expect(stored).not.toContain(RFC_SECRET);
+    expect(decryptSecret(stored)).toBe(RFC_SECRET);
+  });
+
+  test('normalizes recovery codes', () => {
+    expect(normalizeRecoveryCode(' k7qx2-mz4pa ')).toBe('K7QX2MZ4PA');
+  });
+});
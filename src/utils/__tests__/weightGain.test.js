@@ -0,0 +1,110 @@
+import {
+  IOM_GUIDELINES,
+  validateWeight,
+  validateWeightBaseline,
+  pickWeightBaseline,
+  getWeightBaseline,
+  getGainRange,
+  assessWeight
+} from '../weightGain.js';
+
+// 2 m tall, so the BMI is a quarter of the weight
+const baselineFor = (prePregnancyWeightKg) => getWeightBaseline({ heightCm: 200, prePregnancyWeightKg });
+
+const guideline = (category) => IOM_GUIDELINES.find(item => item.category === category);
+
+describe('getWeightBaseline', () => {
+  test.each([
+    [73.6, 18.4, 'underweight'],
+    [74, 18.5, 'normal'],
+    [99.6, 24.9, 'normal'],
+    [100, 25, 'overweight'],
+    [119.6, 29.9, 'overweight'],
+    [120, 30, 'obese']
+  ])('%f kg at 2 m is BMI %f (%s)', (weightKg, bmi, category) => {
+    const { maxBmi, ...recommendation } = guideline(category);
+
+    expect(baselineFor(weightKg)).toEqual({ prePregnancyWeightKg: weightKg, bmi, ...recommendation });
+  });
+
+  test('needs both measurements', () => {
+    expect(getWeightBaseline({ heightCm: 165, prePregnancyWeightKg: null })).toBeNull();
+    expect(getWeightBaseline({ heightCm: null, prePregnancyWeightKg: 60 })).toBeNull();
+  });
+});
+
+describe('getGainRange', () => {
+  const normal = baselineFor(80);
+
+  test.each([
+    [-2, { min: 0, max: 0 }],
+    [0, { min: 0, max: 0 }],
+    [13, { min: 0.5, max: 2 }],
+    [40, { min: 11.5, max: 16 }]
+  ])('week %i allows %j', (week, range) => {
+    expect(getGainRange(normal, week)).toEqual(range);
+  });
+
+  test('rises linearly between the end of the 1st trimester and term', () => {
+    const middle = getGainRange(normal, 26.5);
+
+    expect(middle).toEqual({ min: 6, max: 9 });
+  });
+
+  test('uses the IOM total of each category at term', () => {
+    for (const weightKg of [70, 110, 130]) {
+      const baseline = baselineFor(weightKg);
+
+      expect(getGainRange(baseline, 40)).toEqual(baseline.totalGainKg);
+    }
+  });
+
+  test('keeps the pace after term', () => {
+    const { min, max } = getGainRange(normal, 42);
+
+    expect(min).toBeGreaterThan(11.5);
+    expect(max).toBeGreaterThan(16);
+  });
+});
+
+describe('assessWeight', () => {
+  const normal = baselineFor(80);
+
+  test.each([
+    [91.4, 11.4, 'below'],
+    [91.5, 11.5, 'within'],
+    [96, 16, 'within'],
+    [96.1, 16.1, 'above']
+  ])('%f kg at 40 weeks is %f kg gained (%s)', (weightKg, gainKg, status) => {
+    expect(assessWeight(normal, weightKg, 40)).toEqual({
+      gainKg,
+      recommendedGainKg: { min: 11.5, max: 16 },
+      status
+    });
+  });
+});
+
+describe('validators', () => {
+  test.each([[30, true], ['72.5', true], [250, true], [29.9, false], [251, false], ['abc', false], [undefined, false]])(
+    'validateWeight(%p) valid: %p',
+    (value, valid) => {
+      expect(validateWeight(value) === null).toBe(valid);
+    }
+  );
+
+  test('validates only the baseline fields present, and allows clearing them', () => {
+    expect(validateWeightBaseline({})).toBeNull();
+    expect(validateWeightBaseline({ heightCm: null, prePregnancyWeightKg: null })).toBeNull();
+    expect(validateWeightBaseline({ heightCm: 165, prePregnancyWeightKg: 60 })).toBeNull();
+    expect(validateWeightBaseline({ heightCm: 119 })).toMatch(/Altura/);
+    expect(validateWeightBaseline({ heightCm: '2,5e2' })).toMatch(/Altura/);
+    expect(validateWeightBaseline({ prePregnancyWeightKg: 20 })).toMatch(/Peso/);
+  });
+
+  test('picks and rounds the baseline fields', () => {
+    expect(pickWeightBaseline({ heightCm: '165.04', prePregnancyWeightKg: null, week: 12 })).toEqual({
+      heightCm: 165,
+      prePregnancyWeightKg: null
+    });
+  });
+});
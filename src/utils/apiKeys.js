@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import prisma from './prisma.js';
+import { hashToken } from './tokens.js';
+
+const ROTATION_GRACE_HOURS = parseInt(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+const LAST_USED_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Scopes an API key can hold
+ */
+export const API_KEY_SCOPES = ['events:write', 'classes:read'];
+
+/**
+ * Validate requested scopes (collaborator and partner keys can hold any scope)
+ * @param {Array<string>} scopes
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateScopes = (scopes) => {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return `Informe ao menos um escopo: ${API_KEY_SCOPES.join(', ')}`;
+  }
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Escopos inválidos: ${unknown.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Strip the hash before returning a key record
+ * @param {Object} apiKey
+ * @returns {Object}
+ */
+export const toPublicApiKey = (apiKey) => {
+  const { keyHash, ...publicKey } = apiKey;
+  return publicKey;
+};
+
+/**
+ * Create an API key. The plain key is only returned here, never stored.
+ * @param {Object} data - { name, scopes, collaboratorProfileId, partnerId, createdById, expiresAt }
+ * @returns {Promise<{ key: string, apiKey: Object }>}
+ */
+export const createApiKey = async (data) => {
+  const prefix = `mk_${crypto.randomBytes(4).toString('hex')}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await prisma.apiKey.create({
+    data: {
+      name: data.name,
+      prefix,
+      keyHash: hashToken(key),
+      scopes: data.scopes,
+      collaboratorProfileId: data.collaboratorProfileId || null,
+      partnerId: data.partnerId || null,
+      createdById: data.createdById || null,
+      expiresAt: data.expiresAt ? new Date(data.expiresAt) : null
+    }
+  });
+
+  return { key, apiKey: toPublicApiKey(apiKey) };
+};
+
+/**
+ * Replace a key with a new one; the old key keeps working for a grace period
+ * @param {Object} apiKey - Existing key record
+ * @param {string} rotatedById - User ID performing the rotation
+ * @returns {Promise<{ key: string, apiKey: Object }>}
+ */
+export const rotateApiKey = async (apiKey, rotatedById) => {
+  const replacement = await createApiKey({
+    name: apiKey.name,
+    scopes: apiKey.scopes,
+    collaboratorProfileId: apiKey.collaboratorProfileId,
+    partnerId: apiKey.partnerId,
+    createdById: rotatedById,
+    expiresAt: apiKey.expiresAt
+  });
+
+  const graceEnd = new Date(Date.now() + ROTATION_GRACE_HOURS * 60 * 60 * 1000);
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: {
+      rotatedToId: replacement.apiKey.id,
+      expiresAt: apiKey.expiresAt && apiKey.expiresAt < graceEnd ? apiKey.expiresAt : graceEnd
+    }
+  });
+
+  return replacement;
+};
+
+/**
+ * Revoke a key immediately
+ * @param {string} id
+ */
+export const revokeApiKey = async (id) => {
+  await prisma.apiKey.update({
+    where: { id },
+    data: { revokedAt: new Date() }
+  });
+};
+
+/**
+ * Find a usable key by its plain value
+ * @param {string} key
+ * @returns {Promise<Object|null>} Key with owner relations, or null
+ */
+export const findActiveApiKey = async (key) => {
+  const apiKey = await prisma.apiKey.findUnique({
+    where: { keyHash: hashToken(key) },
+    include: {
+      partner: true,
+      collaboratorProfile: {
+        include: {
+          user: {
+            include: {
+              motherProfile: true,
+              collaboratorProfile: true,
+              adminProfile: true
+            }
+          }
+        }
+      }
+    }
+  });
+
+  if (!apiKey || apiKey.revokedAt) {
+    return null;
+  }
+
+  if (apiKey.expiresAt && apiKey.expiresAt <= new Date()) {
+    return null;
+  }
+
+  if (apiKey.partner && !apiKey.partner.isActive) {
+    return null;
+  }
+
+  return apiKey;
+};
+
+/**
+ * Record key usage, at most once per minute
+ * @param {Object} apiKey
+ * @param {string} ipAddress
+ */
+export const touchApiKey = async (apiKey, ipAddress) => {
+  if (apiKey.lastUsedAt && Date.now() - apiKey.lastUsedAt.getTime() < LAST_USED_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.apiKey.update({
+    where: { id: apiKey.id },
+    data: { lastUsedAt: new Date(), lastUsedIp: ipAddress || null }
+  });
+};
@@ -0,0 +1,88 @@
+import prisma from './prisma.js';
+
+// Never copied into a diff, only flagged as changed
+const REDACTED_FIELDS = ['passwordHash', 'twoFactorSecret', 'keyHash', 'tokenHash'];
+
+/**
+ * Make a value safe to store in a JSON column (Dates become ISO strings)
+ * @param {*} value
+ * @returns {*}
+ */
+const toJsonValue = (value) => {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+};
+
+/**
+ * Compute a field-level before/after diff of two records
+ * @param {Object|null} before - Record before the change (null on create)
+ * @param {Object|null} after - Record after the change (null on delete)
+ * @returns {Object|null} { field: { before, after } } or null when nothing changed
+ */
+export const diffRecords = (before, after) => {
+  const oldRecord = toJsonValue(before) || {};
+  const newRecord = toJsonValue(after) || {};
+  const changes = {};
+
+  const fields = new Set([...Object.keys(oldRecord), ...Object.keys(newRecord)]);
+
+  for (const field of fields) {
+    const oldValue = oldRecord[field] ?? null;
+    const newValue = newRecord[field] ?? null;
+
+    // Nested relations are not part of the audited record
+    if ((oldValue && typeof oldValue === 'object' && !Array.isArray(oldValue))
+      || (newValue && typeof newValue === 'object' && !Array.isArray(newValue))) {
+      continue;
+    }
+
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: '[redacted]', after: '[redacted]' }
+      : { before: oldValue, after: newValue };
+  }
+
+  return Object.keys(changes).length > 0 ? changes : null;
+};
+
+/**
+ * Append an entry to the audit log. Never throws: a failed audit write is
+ * logged but does not fail the action being audited.
+ * @param {Object} req - Express request (actor, IP, impersonation)
+ * @param {Object} entry - { action, targetType, targetId, before, after, metadata }
+ *   plus actorUserId/actorRole when the request is not authenticated (e.g. login)
+ */
+export const recordAudit = async (req, entry) => {
+  const { action, targetType, targetId, before, after, metadata } = entry;
+
+  try {
+    // During a support session the admin is the actor, not the impersonated user
+    const impersonation = req?.impersonation;
+    const actorUserId = entry.actorUserId
+      || impersonation?.adminUserId
+      || req?.userId
+      || null;
+
+    await prisma.auditLog.create({
+      data: {
+        actorUserId,
+        actorRole: entry.actorRole
+          || (impersonation ? 'ADMIN' : req?.user?.role)
+          || null,
+        impersonationId: impersonation?.id || null,
+        action,
+        targetType,
+        targetId: targetId ? String(targetId) : null,
+        ipAddress: req?.ip || null,
+        userAgent: req?.get?.('user-agent') || null,
+        // Prisma rejects a plain null for optional JSON columns
+        changes: diffRecords(before, after) ?? undefined,
+        metadata: metadata ? toJsonValue(metadata) : undefined
+      }
+    });
+  } catch (error) {
+    console.error('Audit log error:', error);
+  }
+};
@@ -0,0 +1,139 @@
+import { round } from './numbers.js';
+
+// 5-1-1: contractions every 5 minutes or less, lasting 1 minute, for 1 hour
+const PATTERN_MAX_INTERVAL_SECONDS = 5 * 60;
+const PATTERN_MIN_DURATION_SECONDS = 60;
+const PATTERN_MIN_SPAN_MINUTES = 60;
+// Taps on the timer are never exact
+const PATTERN_TOLERANCE_SECONDS = 10;
+
+// Rolling windows reported by the analysis, counted back from the latest contraction
+const ANALYSIS_WINDOWS_MINUTES = [30, 60];
+
+// Intervals varying less than this (coefficient of variation) count as regular
+const REGULAR_MAX_VARIATION = 0.2;
+
+const HOSPITAL_GUIDANCE = 'Suas contrações seguem o padrão 5-1-1 há pelo menos 1 hora. '
+  + 'É hora de ir para a maternidade. Leve seus documentos e o cartão da gestante.';
+
+const secondsBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 1000);
+
+/**
+ * Mean, and variation of the values relative to their mean
+ * @param {Array<number>} values
+ * @returns {Object} { average, variation } (null when not enough values)
+ */
+const describe = (values) => {
+  if (values.length === 0) {
+    return { average: null, variation: null };
+  }
+
+  const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  if (values.length < 2 || average === 0) {
+    return { average: round(average), variation: null };
+  }
+
+  const variance = values.reduce((sum, value) => sum + (value - average) ** 2, 0) / values.length;
+
+  return { average: round(average), variation: round(Math.sqrt(variance) / average, 2) };
+};
+
+/**
+ * Duration and frequency statistics of consecutive finished contractions.
+ * Frequency is measured start to start, as midwives time it.
+ * @param {Array<Object>} contractions - Finished contractions, oldest first
+ * @returns {Object} { count, averageDurationSeconds, averageIntervalSeconds, intervalVariation, isRegular }
+ */
+export const getStatistics = (contractions) => {
+  const durations = contractions.map(contraction => secondsBetween(contraction.startedAt, contraction.endedAt));
+  const intervals = contractions.slice(1).map((contraction, index) =>
+    secondsBetween(contractions[index].startedAt, contraction.startedAt)
+  );
+
+  const duration = describe(durations);
+  const interval = describe(intervals);
+
+  return {
+    count: contractions.length,
+    averageDurationSeconds: duration.average,
+    averageIntervalSeconds: interval.average,
+    intervalVariation: interval.variation,
+    isRegular: interval.variation !== null && intervals.length >= 3 && interval.variation <= REGULAR_MAX_VARIATION
+  };
+};
+
+/**
+ * Detect the 5-1-1 pattern: the latest contractions, without a break, all came
+ * at most 5 minutes apart and lasted at least 1 minute, over at least 1 hour
+ * @param {Array<Object>} contractions - Finished contractions, oldest first
+ * @returns {Object} { detected, runMinutes, runContractions }
+ */
+export const detectFiveOneOne = (contractions) => {
+  const fitsPattern = (contraction) =>
+    secondsBetween(contraction.startedAt, contraction.endedAt) >= PATTERN_MIN_DURATION_SECONDS - PATTERN_TOLERANCE_SECONDS;
+
+  let runStart = contractions.length - 1;
+
+  if (runStart < 0 || !fitsPattern(contractions[runStart])) {
+    return { detected: false, runMinutes: 0, runContractions: 0 };
+  }
+
+  while (runStart > 0) {
+    const previous = contractions[runStart - 1];
+    const interval = secondsBetween(previous.startedAt, contractions[runStart].startedAt);
+
+    if (interval > PATTERN_MAX_INTERVAL_SECONDS + PATTERN_TOLERANCE_SECONDS || !fitsPattern(previous)) {
+      break;
+    }
+    runStart -= 1;
+  }
+
+  const last = contractions[contractions.length - 1];
+  const runMinutes = round(secondsBetween(contractions[runStart].startedAt, last.endedAt) / 60);
+
+  return {
+    detected: runMinutes >= PATTERN_MIN_SPAN_MINUTES,
+    runMinutes,
+    runContractions: contractions.length - runStart
+  };
+};
+
+/**
+ * Analyse a session: per-contraction timings, overall and rolling-window
+ * statistics, and the 5-1-1 pattern
+ * @param {Object} session - ContractionSession with contractions
+ * @returns {Object}
+ */
+export const analyzeSession = (session) => {
+  const contractions = [...session.contractions].sort((a, b) => a.startedAt - b.startedAt);
+  const finished = contractions.filter(contraction => contraction.endedAt);
+
+  const timedContractions = contractions.map((contraction, index) => ({
+    ...contraction,
+    durationSeconds: contraction.endedAt ? secondsBetween(contraction.startedAt, contraction.endedAt) : null,
+    intervalSeconds: index > 0 ? secondsBetween(contractions[index - 1].startedAt, contraction.startedAt) : null
+  }));
+
+  const latestStart = finished.length > 0 ? finished[finished.length - 1].startedAt : null;
+
+  const windows = ANALYSIS_WINDOWS_MINUTES.map(minutes => ({
+    minutes,
+    ...getStatistics(finished.filter(contraction =>
+      secondsBetween(contraction.startedAt, latestStart) <= minutes * 60
+    ))
+  }));
+
+  const fiveOneOne = detectFiveOneOne(finished);
+
+  return {
+    ...session,
+    contractions: timedContractions,
+    analysis: {
+      ...getStatistics(finished),
+      windows,
+      fiveOneOne,
+      guidance: fiveOneOne.detected ? HOSPITAL_GUIDANCE : null
+    }
+  };
+};
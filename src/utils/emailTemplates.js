@@ -0,0 +1,82 @@
+const APP_URL = process.env.APP_URL || 'http://localhost:8081';
+
+/**
+ * Escape user-provided text for HTML bodies
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeHtml = (value) => {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+/**
+ * Email verification message
+ * @param {string} fullName
+ * @param {string} token - Signed verification token
+ * @returns {Object} { subject, text, html }
+ */
+export const verificationEmail = (fullName, token) => {
+  const link = `${APP_URL}/verify-email?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Confirme seu email - Mamacita 🌸',
+    text: `Olá, ${fullName}!\n\nConfirme seu email acessando o link abaixo:\n${link}\n\nSe você não criou uma conta na Mamacita, ignore esta mensagem.`,
+    html: `<p>Olá, ${escapeHtml(fullName)}!</p><p>Confirme seu email acessando o link abaixo:</p><p><a href="${link}">Confirmar email</a></p><p>Se você não criou uma conta na Mamacita, ignore esta mensagem.</p>`
+  };
+};
+
+/**
+ * Password reset message
+ * @param {string} fullName
+ * @param {string} token - One-time reset token
+ * @param {number} expiresInMinutes
+ * @returns {Object} { subject, text, html }
+ */
+export const passwordResetEmail = (fullName, token, expiresInMinutes) => {
+  const link = `${APP_URL}/reset-password?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Redefinição de senha - Mamacita 🌸',
+    text: `Olá, ${fullName}!\n\nRecebemos um pedido para redefinir sua senha. Acesse o link abaixo (válido por ${expiresInMinutes} minutos):\n${link}\n\nSe você não fez esse pedido, ignore esta mensagem. Sua senha continua a mesma.`,
+    html: `<p>Olá, ${escapeHtml(fullName)}!</p><p>Recebemos um pedido para redefinir sua senha. Acesse o link abaixo (válido por ${expiresInMinutes} minutos):</p><p><a href="${link}">Redefinir senha</a></p><p>Se você não fez esse pedido, ignore esta mensagem. Sua senha continua a mesma.</p>`
+  };
+};
+
+/**
+ * Passwordless login message
+ * @param {string} fullName
+ * @param {string} token - Signed single-use login token
+ * @param {number} expiresInMinutes
+ * @returns {Object} { subject, text, html }
+ */
+export const magicLinkEmail = (fullName, token, expiresInMinutes) => {
+  const link = `${APP_URL}/magic-link?token=${encodeURIComponent(token)}`;
+
+  return {
+    subject: 'Seu link de acesso - Mamacita 🌸',
+    text: `Olá, ${fullName}!\n\nUse o link abaixo para entrar na Mamacita sem senha (válido por ${expiresInMinutes} minutos e apenas uma vez):\n${link}\n\nSe você não pediu este link, ignore esta mensagem.`,
+    html: `<p>Olá, ${escapeHtml(fullName)}!</p><p>Use o link abaixo para entrar na Mamacita sem senha (válido por ${expiresInMinutes} minutos e apenas uma vez):</p><p><a href="${link}">Entrar na Mamacita</a></p><p>Se você não pediu este link, ignore esta mensagem.</p>`
+  };
+};
+
+/**
+ * Collaborator invitation message
+ * @param {string} profession
+ * @param {string} token - Signed invite token
+ * @param {Date} expiresAt
+ * @returns {Object} { subject, text, html }
+ */
+export const collaboratorInviteEmail = (profession, token, expiresAt) => {
+  const link = `${APP_URL}/collaborator-invite?token=${encodeURIComponent(token)}`;
+  const expiresOn = expiresAt.toLocaleDateString('pt-BR');
+
+  return {
+    subject: 'Convite para colaborar na Mamacita 🌸',
+    text: `Olá!\n\nVocê foi convidada(o) para fazer parte da Mamacita como ${profession}. Crie sua conta pelo link abaixo (válido até ${expiresOn}):\n${link}`,
+    html: `<p>Olá!</p><p>Você foi convidada(o) para fazer parte da Mamacita como <strong>${escapeHtml(profession)}</strong>. Crie sua conta pelo link abaixo (válido até ${expiresOn}):</p><p><a href="${link}">Aceitar convite</a></p>`
+  };
+};
@@ -0,0 +1,196 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Naegele's rule: due date is 280 days (40w0d) after the last menstrual period
+export const TERM_DAYS = 280;
+
+// Pregnancies are tracked up to 42w6d; past that the due date must be wrong
+export const MAX_GESTATIONAL_WEEK = 42;
+const MAX_GESTATIONAL_DAYS = MAX_GESTATIONAL_WEEK * 7 + 6;
+
+export const DATING_METHODS = ['LMP', 'DUE_DATE', 'ULTRASOUND'];
+
+/**
+ * ACOG redating thresholds: the ultrasound replaces LMP dating when both due
+ * dates differ by more than `maxDifferenceDays` for a scan done before
+ * `untilDays` of gestation.
+ */
+const ULTRASOUND_REDATING_THRESHOLDS = [
+  { untilDays: 9 * 7, maxDifferenceDays: 5 },
+  { untilDays: 16 * 7, maxDifferenceDays: 7 },
+  { untilDays: 22 * 7, maxDifferenceDays: 10 },
+  { untilDays: 28 * 7, maxDifferenceDays: 14 },
+  { untilDays: Infinity, maxDifferenceDays: 21 }
+];
+
+export class GestationalAgeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GestationalAgeError';
+    this.statusCode = 400;
+  }
+}
+
+/**
+ * Truncate a date to midnight UTC so day counts ignore the time of day
+ * @param {Date|string} value
+ * @returns {Date}
+ */
+const toUtcDay = (value) => {
+  const date = new Date(value);
+  return new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate()));
+};
+
+/**
+ * Parse an optional date input
+ * @param {*} value
+ * @param {string} field - Field name for the error message
+ * @returns {Date|null}
+ */
+const parseDate = (value, field) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new GestationalAgeError(`Data inválida em ${field}`);
+  }
+
+  return toUtcDay(date);
+};
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+const daysBetween = (from, to) => Math.round((toUtcDay(to) - toUtcDay(from)) / DAY_MS);
+
+/**
+ * Resolve the due date from LMP, an explicit due date or ultrasound dating.
+ * Without an explicit `datingMethod`, an ultrasound overrides the LMP only
+ * when the difference exceeds the ACOG threshold for the scan's gestational age.
+ * @param {Object} input - { lmpDate, dueDate, ultrasoundDate, ultrasoundWeeks, ultrasoundDays, datingMethod }
+ * @returns {Object} { dueDate, datingMethod, lmpDate, ultrasoundDate, ultrasoundGestationalDays }
+ */
+export const resolveDueDate = (input) => {
+  const lmpDate = parseDate(input.lmpDate, 'lmpDate');
+  const dueDate = parseDate(input.dueDate, 'dueDate');
+  const ultrasoundDate = parseDate(input.ultrasoundDate, 'ultrasoundDate');
+
+  let ultrasoundGestationalDays = null;
+  if (ultrasoundDate) {
+    const weeks = parseInt(input.ultrasoundWeeks);
+    const days = parseInt(input.ultrasoundDays) || 0;
+
+    if (!(weeks >= 4 && weeks <= MAX_GESTATIONAL_WEEK) || days < 0 || days > 6) {
+      throw new GestationalAgeError('Informe a idade gestacional do ultrassom (ultrasoundWeeks entre 4 e 42, ultrasoundDays entre 0 e 6)');
+    }
+
+    ultrasoundGestationalDays = weeks * 7 + days;
+  }
+
+  const candidates = {
+    LMP: lmpDate && addDays(lmpDate, TERM_DAYS),
+    DUE_DATE: dueDate,
+    ULTRASOUND: ultrasoundDate && addDays(ultrasoundDate, TERM_DAYS - ultrasoundGestationalDays)
+  };
+
+  let datingMethod = input.datingMethod || null;
+
+  if (datingMethod) {
+    if (!DATING_METHODS.includes(datingMethod)) {
+      throw new GestationalAgeError(`Método de datação inválido. Use: ${DATING_METHODS.join(', ')}`);
+    }
+    if (!candidates[datingMethod]) {
+      throw new GestationalAgeError(`Informe os dados necessários para a datação por ${datingMethod}`);
+    }
+  } else if (candidates.LMP && candidates.ULTRASOUND) {
+    const { maxDifferenceDays } = ULTRASOUND_REDATING_THRESHOLDS
+      .find(threshold => ultrasoundGestationalDays < threshold.untilDays);
+    const difference = Math.abs(daysBetween(candidates.LMP, candidates.ULTRASOUND));
+
+    datingMethod = difference > maxDifferenceDays ? 'ULTRASOUND' : 'LMP';
+  } else {
+    datingMethod = ['ULTRASOUND', 'LMP', 'DUE_DATE'].find(method => candidates[method]);
+  }
+
+  if (!datingMethod) {
+    throw new GestationalAgeError('Informe a data prevista do parto, a data da última menstruação ou os dados do ultrassom');
+  }
+
+  return {
+    dueDate: candidates[datingMethod],
+    datingMethod,
+    lmpDate,
+    ultrasoundDate,
+    ultrasoundGestationalDays
+  };
+};
+
+/**
+ * Trimester of a gestational week
+ * (1st: up to 13w6d, 2nd: 14w0d to 27w6d, 3rd: from 28w0d)
+ * @param {number} week - Completed weeks
+ * @returns {number} 1, 2 or 3
+ */
+export const getTrimester = (week) => (week < 14 ? 1 : week < 28 ? 2 : 3);
+
+/**
+ * Classify gestational age by ACOG term definitions
+ * @param {number} totalDays
+ * @returns {string} preterm | early_term | full_term | late_term | post_term
+ */
+const getTermStatus = (totalDays) => {
+  if (totalDays < 37 * 7) return 'preterm';
+  if (totalDays < 39 * 7) return 'early_term';
+  if (totalDays < 41 * 7) return 'full_term';
+  if (totalDays < 42 * 7) return 'late_term';
+  return 'post_term';
+};
+
+/**
+ * Gestational age on a given day, derived from the due date
+ * @param {Date|string} dueDate
+ * @param {Date} [now]
+ * @returns {Object} { weeks, days, totalDays, currentWeek, trimester, daysRemaining, termStatus, isPastDueDate }
+ */
+export const getGestationalAge = (dueDate, now = new Date()) => {
+  const totalDays = TERM_DAYS - daysBetween(now, dueDate);
+  const weeks = Math.floor(totalDays / 7);
+
+  return {
+    weeks,
+    days: totalDays - weeks * 7,
+    totalDays,
+    // Completed weeks, as used for weekly content (1 to 42)
+    currentWeek: Math.max(1, Math.min(MAX_GESTATIONAL_WEEK, weeks)),
+    trimester: getTrimester(weeks),
+    daysRemaining: Math.max(0, TERM_DAYS - totalDays),
+    termStatus: getTermStatus(totalDays),
+    isPastDueDate: totalDays > TERM_DAYS
+  };
+};
+
+/**
+ * Calendar day on which a pregnancy reaches a gestational week (Nw0d)
+ * @param {Date|string} dueDate
+ * @param {number} week
+ * @returns {Date}
+ */
+export const getDateAtWeek = (dueDate, week) => addDays(toUtcDay(dueDate), week * 7 - TERM_DAYS);
+
+/**
+ * Reject due dates that do not describe an ongoing pregnancy
+ * (more than 40 weeks ahead, or already past 42w6d)
+ * @param {Date} dueDate
+ * @param {Date} [now]
+ */
+export const assertOngoingPregnancy = (dueDate, now = new Date()) => {
+  const { totalDays } = getGestationalAge(dueDate, now);
+
+  if (totalDays < 0) {
+    throw new GestationalAgeError('A data prevista do parto está muito distante. Confira as datas informadas');
+  }
+
+  if (totalDays > MAX_GESTATIONAL_DAYS) {
+    throw new GestationalAgeError(`A gestação passaria de ${MAX_GESTATIONAL_WEEK} semanas. Confira as datas informadas`);
+  }
+};
@@ -1,16 +1,17 @@
 import jwt from 'jsonwebtoken';
 
 const JWT_SECRET = process.env.JWT_SECRET || 'fallback-secret-change-in-production';
-const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '7d';
+const JWT_EXPIRES_IN = process.env.JWT_EXPIRES_IN || '15m';
 
 /**
- * Generate JWT token for user
+ * Generate short-lived JWT access token for user
  * @param {Object} payload - User data to encode in token
+ * @param {string|number} expiresIn - Override the default expiry
  * @returns {string} JWT token
  */
-export const generateToken = (payload) => {
+export const generateToken = (payload, expiresIn = JWT_EXPIRES_IN) => {
   return jwt.sign(payload, JWT_SECRET, {
-    expiresIn: JWT_EXPIRES_IN
+    expiresIn
   });
 };
 
@@ -26,3 +27,30 @@ export const verifyToken = (token) => {
     throw new Error('Token inválido ou expirado');
   }
 };
+
+/**
+ * Generate a signed single-purpose token (email verification, etc.)
+ * @param {string} purpose - Token purpose, checked on verification
+ * @param {Object} payload - Data to encode in token
+ * @param {string} expiresIn - Expiry (e.g. '24h')
+ * @returns {string} Signed token
+ */
+export const generatePurposeToken = (purpose, payload, expiresIn) => {
+  return jwt.sign({ ...payload, purpose }, JWT_SECRET, { expiresIn });
+};
+
+/**
+ * Verify a signed single-purpose token
+ * @param {string} purpose - Expected token purpose
+ * @param {string} token - Token to verify
+ * @returns {Object} Decoded payload
+ */
+export const verifyPurposeToken = (purpose, token) => {
+  const decoded = verifyToken(token);
+
+  if (decoded.purpose !== purpose) {
+    throw new Error('Token inválido ou expirado');
+  }
+
+  return decoded;
+};
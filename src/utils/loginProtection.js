@@ -0,0 +1,200 @@
+import prisma from './prisma.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.LOGIN_MAX_ATTEMPTS) || 5;
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+const MAX_ATTEMPTS_PER_IP = parseInt(process.env.LOGIN_MAX_ATTEMPTS_PER_IP) || 20;
+const IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+// Failures allowed before delays kick in, and the delay ceiling
+const FREE_ATTEMPTS = 2;
+const MAX_DELAY_SECONDS = 30;
+
+/**
+ * Progressive delay (in seconds) required after N consecutive failures:
+ * 0, 0, 1, 2, 4, 8... capped at MAX_DELAY_SECONDS
+ * @param {number} failures
+ * @returns {number}
+ */
+export const getProgressiveDelay = (failures) => {
+  if (failures < FREE_ATTEMPTS) {
+    return 0;
+  }
+
+  return Math.min(MAX_DELAY_SECONDS, 2 ** (failures - FREE_ATTEMPTS));
+};
+
+/**
+ * Seconds until the given date (rounded up, minimum 1)
+ * @param {Date} date
+ * @returns {number}
+ */
+const secondsUntil = (date) => {
+  return Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+};
+
+/**
+ * Check whether an IP must wait before trying again
+ * @param {string} ipAddress
+ * @returns {Promise<{ blocked: boolean, retryAfter?: number }>}
+ */
+export const checkIpThrottle = async (ipAddress) => {
+  if (!ipAddress) {
+    return { blocked: false };
+  }
+
+  const since = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+
+  const recentFailures = await prisma.loginAttempt.findMany({
+    where: { ipAddress, success: false, createdAt: { gte: since } },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true },
+    take: MAX_ATTEMPTS_PER_IP
+  });
+
+  if (recentFailures.length >= MAX_ATTEMPTS_PER_IP) {
+    // Blocked until the oldest failure in the window expires
+    const oldest = recentFailures[recentFailures.length - 1].createdAt;
+    const unblockAt = new Date(oldest.getTime() + IP_WINDOW_MINUTES * 60 * 1000);
+    return { blocked: true, retryAfter: secondsUntil(unblockAt) };
+  }
+
+  if (recentFailures.length > 0) {
+    const delay = getProgressiveDelay(recentFailures.length);
+    const allowedAt = new Date(recentFailures[0].createdAt.getTime() + delay * 1000);
+
+    if (allowedAt > new Date()) {
+      return { blocked: true, retryAfter: secondsUntil(allowedAt) };
+    }
+  }
+
+  return { blocked: false };
+};
+
+/**
+ * Check whether an account is locked or must wait before trying again
+ * @param {Object} user
+ * @returns {{ locked: boolean, throttled: boolean, retryAfter?: number }}
+ */
+export const checkAccountThrottle = (user) => {
+  const now = new Date();
+
+  if (user.lockedUntil && user.lockedUntil > now) {
+    return { locked: true, throttled: false, retryAfter: secondsUntil(user.lockedUntil) };
+  }
+
+  if (user.lastFailedLoginAt) {
+    const delay = getProgressiveDelay(user.failedLoginAttempts);
+    const allowedAt = new Date(user.lastFailedLoginAt.getTime() + delay * 1000);
+
+    if (allowedAt > now) {
+      return { locked: false, throttled: true, retryAfter: secondsUntil(allowedAt) };
+    }
+  }
+
+  return { locked: false, throttled: false };
+};
+
+/**
+ * Record a login attempt
+ * @param {Object} attempt - { email, userId, ipAddress, userAgent, success, reason }
+ */
+export const recordLoginAttempt = async (attempt) => {
+  await prisma.loginAttempt.create({
+    data: {
+      email: String(attempt.email).toLowerCase(),
+      userId: attempt.userId || null,
+      ipAddress: attempt.ipAddress || null,
+      userAgent: attempt.userAgent || null,
+      success: attempt.success,
+      reason: attempt.reason || null
+    }
+  });
+};
+
+/**
+ * Register a failed password for an account, locking it after MAX_ATTEMPTS.
+ * The counter is incremented in the database so parallel attempts all count.
+ * @param {Object} user
+ * @param {string} ipAddress
+ * @returns {Promise<{ locked: boolean, retryAfter?: number }>}
+ */
+export const registerFailedLogin = async (user, ipAddress) => {
+  const now = new Date();
+
+  // A previous lock that already expired starts a fresh count
+  await prisma.user.updateMany({
+    where: { id: user.id, lockedUntil: { lte: now } },
+    data: { failedLoginAttempts: 0, lockedUntil: null }
+  });
+
+  const { failedLoginAttempts } = await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: { increment: 1 }, lastFailedLoginAt: now },
+    select: { failedLoginAttempts: true }
+  });
+
+  if (failedLoginAttempts < MAX_ATTEMPTS) {
+    return { locked: false };
+  }
+
+  const lockedUntil = new Date(now.getTime() + LOCKOUT_MINUTES * 60 * 1000);
+
+  // Only the attempt that sets the lock records it; parallel ones see it taken
+  const lockedNow = await prisma.$transaction(async (tx) => {
+    const { count } = await tx.user.updateMany({
+      where: { id: user.id, OR: [{ lockedUntil: null }, { lockedUntil: { lte: now } }] },
+      data: { lockedUntil }
+    });
+
+    if (count === 0) {
+      return false;
+    }
+
+    await tx.accountLockout.create({
+      data: { userId: user.id, ipAddress, failedAttempts: failedLoginAttempts, lockedUntil }
+    });
+
+    return true;
+  });
+
+  if (lockedNow) {
+    console.warn(`🔒 Account locked: user ${user.id} after ${failedLoginAttempts} failed attempts`);
+  }
+
+  return { locked: true, retryAfter: secondsUntil(lockedUntil) };
+};
+
+/**
+ * Clear failure counters after a successful login
+ * @param {Object} user
+ */
+export const resetFailedLogins = async (user) => {
+  if (user.failedLoginAttempts === 0 && !user.lockedUntil && !user.lastFailedLoginAt) {
+    return;
+  }
+
+  await prisma.user.update({
+    where: { id: user.id },
+    data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+  });
+};
+
+/**
+ * Manually unlock an account (admin)
+ * @param {string} userId
+ * @param {string} adminUserId - Admin performing the unlock
+ */
+export const unlockAccount = async (userId, adminUserId) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.user.update({
+      where: { id: userId },
+      data: { failedLoginAttempts: 0, lastFailedLoginAt: null, lockedUntil: null }
+    }),
+    prisma.accountLockout.updateMany({
+      where: { userId, unlockedAt: null, lockedUntil: { gt: now } },
+      data: { unlockedAt: now, unlockedById: adminUserId }
+    })
+  ]);
+};
@@ -0,0 +1,80 @@
+import fs from 'fs/promises';
+import path from 'path';
+import axios from 'axios';
+
+const FROM_EMAIL = process.env.FROM_EMAIL || 'noreply@mamacita.com';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || 'logs/outbox';
+
+/**
+ * Built-in mail transports. Each receives { to, from, subject, text, html }.
+ */
+const transports = {
+  // Local development: print the message to stdout
+  console: async (message) => {
+    console.log('📧 Email:', JSON.stringify(message, null, 2));
+  },
+
+  // Local development: write each message as a JSON file in the outbox
+  file: async (message) => {
+    await fs.mkdir(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-z0-9@._-]/gi, '_')}.json`;
+    await fs.writeFile(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+  },
+
+  // Production: SendGrid v3 API
+  sendgrid: async (message) => {
+    await axios.post(
+      'https://api.sendgrid.com/v3/mail/send',
+      {
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: { email: message.from },
+        subject: message.subject,
+        content: [
+          { type: 'text/plain', value: message.text },
+          ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+        ]
+      },
+      { headers: { Authorization: `Bearer ${process.env.SENDGRID_API_KEY}` } }
+    );
+  }
+};
+
+let activeTransport = null;
+
+/**
+ * Register a custom mail transport (e.g. for tests or another provider)
+ * @param {string} name - Transport name, selectable via MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => void
+ */
+export const registerMailTransport = (name, transport) => {
+  transports[name] = transport;
+  activeTransport = null;
+};
+
+/**
+ * Resolve the transport selected by MAIL_TRANSPORT
+ * (defaults to console outside production)
+ */
+const getTransport = () => {
+  if (!activeTransport) {
+    const name = process.env.MAIL_TRANSPORT
+      || (process.env.NODE_ENV === 'production' ? 'sendgrid' : 'console');
+
+    if (!transports[name]) {
+      throw new Error(`Mail transport desconhecido: ${name}`);
+    }
+
+    activeTransport = transports[name];
+  }
+
+  return activeTransport;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} options - { to, subject, text, html }
+ */
+export const sendMail = async ({ to, subject, text, html }) => {
+  const transport = getTransport();
+  await transport({ to, from: FROM_EMAIL, subject, text, html });
+};
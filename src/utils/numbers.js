@@ -0,0 +1,7 @@
+/**
+ * Round to a number of decimal places
+ * @param {number} value
+ * @param {number} decimals - Defaults to 1
+ * @returns {number}
+ */
+export const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
@@ -0,0 +1,217 @@
+import crypto from 'crypto';
+import axios from 'axios';
+import jwt from 'jsonwebtoken';
+
+// Well-known issuers; anything else (e.g. a local mock) sets OIDC_<NAME>_ISSUER
+const DEFAULT_ISSUERS = {
+  google: 'https://accounts.google.com',
+  apple: 'https://appleid.apple.com'
+};
+
+const DISCOVERY_CACHE_MS = 60 * 60 * 1000;
+// A slow provider must not hold login requests open
+const HTTP_TIMEOUT_MS = parseInt(process.env.OIDC_HTTP_TIMEOUT_MS) || 5000;
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+/**
+ * Error raised during an OIDC exchange (bad config, rejected token, etc.)
+ */
+export class OidcError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'OidcError';
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Names of the providers enabled in OIDC_PROVIDERS (comma separated)
+ * @returns {Array<string>}
+ */
+export const getEnabledProviders = () => {
+  return (process.env.OIDC_PROVIDERS || '')
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+};
+
+/**
+ * Read a provider's configuration from OIDC_<NAME>_* variables
+ * @param {string} name - Provider name (e.g. "google")
+ * @returns {Object|null} Config or null if the provider is not enabled
+ */
+export const getProviderConfig = (name) => {
+  const provider = String(name || '').toLowerCase();
+
+  if (!getEnabledProviders().includes(provider)) {
+    return null;
+  }
+
+  const prefix = `OIDC_${provider.toUpperCase()}_`;
+  const env = (key) => process.env[`${prefix}${key}`];
+
+  const config = {
+    name: provider,
+    issuer: env('ISSUER') || DEFAULT_ISSUERS[provider],
+    clientId: env('CLIENT_ID'),
+    clientSecret: env('CLIENT_SECRET'),
+    redirectUri: env('REDIRECT_URI'),
+    scopes: env('SCOPES') || 'openid email profile'
+  };
+
+  if (!config.issuer || !config.clientId || !config.redirectUri) {
+    throw new OidcError(`Provedor ${provider} configurado incorretamente`, 500);
+  }
+
+  return config;
+};
+
+/**
+ * Fetch (and cache) the issuer's discovery document
+ * @param {string} issuer
+ * @returns {Promise<Object>}
+ */
+const getDiscoveryDocument = async (issuer) => {
+  const cached = discoveryCache.get(issuer);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_CACHE_MS) {
+    return cached.document;
+  }
+
+  const { data } = await axios.get(`${issuer.replace(/\/$/, '')}/.well-known/openid-configuration`, {
+    timeout: HTTP_TIMEOUT_MS
+  });
+  discoveryCache.set(issuer, { document: data, fetchedAt: Date.now() });
+
+  return data;
+};
+
+/**
+ * Find the signing key for a kid, refetching the JWKS once on a miss
+ * @param {string} jwksUri
+ * @param {string} kid
+ * @returns {Promise<Object>} JWK
+ */
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => key.kid === kid) || (!kid && keys[0]);
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && cached.fetchedAt > Date.now() - DISCOVERY_CACHE_MS) {
+    const key = findKey(cached.keys);
+    if (key) {
+      return key;
+    }
+  }
+
+  const { data } = await axios.get(jwksUri, { timeout: HTTP_TIMEOUT_MS });
+  jwksCache.set(jwksUri, { keys: data.keys, fetchedAt: Date.now() });
+
+  const key = findKey(data.keys);
+  if (!key) {
+    throw new OidcError('Chave de assinatura do provedor não encontrada', 401);
+  }
+
+  return key;
+};
+
+/**
+ * Base64url SHA-256 of a value (PKCE S256 challenge)
+ * @param {string} value
+ * @returns {string}
+ */
+const sha256Base64Url = (value) => {
+  return crypto.createHash('sha256').update(value).digest('base64url');
+};
+
+/**
+ * Start an authorization-code + PKCE flow
+ * @param {Object} config - Provider config
+ * @returns {Promise<{ authorizationUrl: string, state: string, nonce: string, codeVerifier: string }>}
+ */
+export const createAuthorizationRequest = async (config) => {
+  const discovery = await getDiscoveryDocument(config.issuer);
+
+  const state = crypto.randomBytes(24).toString('base64url');
+  const nonce = crypto.randomBytes(24).toString('base64url');
+  const codeVerifier = crypto.randomBytes(48).toString('base64url');
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: config.clientId,
+    redirect_uri: config.redirectUri,
+    scope: config.scopes,
+    state,
+    nonce,
+    code_challenge: sha256Base64Url(codeVerifier),
+    code_challenge_method: 'S256'
+  });
+
+  return {
+    authorizationUrl: `${discovery.authorization_endpoint}?${params.toString()}`,
+    state,
+    nonce,
+    codeVerifier
+  };
+};
+
+/**
+ * Exchange an authorization code for verified identity claims
+ * @param {Object} config - Provider config
+ * @param {Object} request - { code, codeVerifier, nonce }
+ * @returns {Promise<Object>} Verified ID token claims
+ */
+export const exchangeAuthorizationCode = async (config, { code, codeVerifier, nonce }) => {
+  const discovery = await getDiscoveryDocument(config.issuer);
+
+  const body = new URLSearchParams({
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: config.redirectUri,
+    client_id: config.clientId,
+    code_verifier: codeVerifier
+  });
+
+  if (config.clientSecret) {
+    body.set('client_secret', config.clientSecret);
+  }
+
+  let tokenResponse;
+  try {
+    ({ data: tokenResponse } = await axios.post(discovery.token_endpoint, body.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: HTTP_TIMEOUT_MS
+    }));
+  } catch (error) {
+    throw new OidcError('O provedor recusou o código de autorização', 401);
+  }
+
+  if (!tokenResponse.id_token) {
+    throw new OidcError('O provedor não retornou um id_token', 401);
+  }
+
+  const header = jwt.decode(tokenResponse.id_token, { complete: true })?.header;
+  if (!header) {
+    throw new OidcError('id_token inválido', 401);
+  }
+
+  const jwk = await getSigningKey(discovery.jwks_uri, header.kid);
+  const publicKey = crypto.createPublicKey({ key: jwk, format: 'jwk' });
+
+  let claims;
+  try {
+    claims = jwt.verify(tokenResponse.id_token, publicKey, {
+      algorithms: ['RS256', 'ES256'],
+      issuer: discovery.issuer || config.issuer,
+      audience: config.clientId
+    });
+  } catch (error) {
+    throw new OidcError('id_token inválido ou expirado', 401);
+  }
+
+  if (claims.nonce !== nonce) {
+    throw new OidcError('Nonce inválido', 401);
+  }
+
+  return claims;
+};
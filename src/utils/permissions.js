@@ -0,0 +1,33 @@
+/**
+ * Admin permission matrix, keyed by AdminProfile.role.
+ * "*" grants every permission.
+ */
+export const ADMIN_PERMISSIONS = {
+  super_admin: ['*'],
+  admin: [
+    'stats:view',
+    'reports:manage',
+    'collaborators:verify',
+    'collaborators:invite',
+    'content:publish',
+    'users:suspend',
+    'api-keys:manage',
+    'users:impersonate',
+    'audit-log:view',
+    'health-rules:manage'
+  ],
+  moderator: [
+    'reports:manage'
+  ]
+};
+
+/**
+ * Check whether an admin role grants a permission
+ * @param {string} adminRole - AdminProfile.role
+ * @param {string} permission - e.g. "reports:manage"
+ * @returns {boolean}
+ */
+export const hasPermission = (adminRole, permission) => {
+  const granted = ADMIN_PERMISSIONS[adminRole] || [];
+  return granted.includes('*') || granted.includes(permission);
+};
@@ -0,0 +1,105 @@
+import { getDateAtWeek, getGestationalAge } from './gestationalAge.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const APPOINTMENT_TYPES = ['PRENATAL_VISIT', 'ULTRASOUND', 'LAB_TEST', 'VACCINE', 'OTHER'];
+export const APPOINTMENT_STATUSES = ['SCHEDULED', 'COMPLETED', 'CANCELLED'];
+
+/**
+ * Exams and vaccines recommended by the Brazilian Ministry of Health prenatal
+ * guidelines, each due within a range of gestational weeks (inclusive)
+ */
+export const RECOMMENDED_APPOINTMENTS = [
+  { key: 'first_visit', type: 'PRENATAL_VISIT', title: 'Primeira consulta de pré-natal', fromWeek: 4, toWeek: 12 },
+  { key: 'first_trimester_labs', type: 'LAB_TEST', title: 'Exames de sangue e urina do 1º trimestre', fromWeek: 4, toWeek: 12 },
+  { key: 'first_trimester_ultrasound', type: 'ULTRASOUND', title: 'Ultrassom morfológico do 1º trimestre (translucência nucal)', fromWeek: 11, toWeek: 13 },
+  { key: 'second_trimester_ultrasound', type: 'ULTRASOUND', title: 'Ultrassom morfológico do 2º trimestre', fromWeek: 20, toWeek: 24 },
+  { key: 'dtpa_vaccine', type: 'VACCINE', title: 'Vacina dTpa (tríplice bacteriana acelular)', fromWeek: 20, toWeek: 36 },
+  { key: 'glucose_tolerance_test', type: 'LAB_TEST', title: 'Teste de tolerância à glicose (TOTG)', fromWeek: 24, toWeek: 28 },
+  { key: 'third_trimester_labs', type: 'LAB_TEST', title: 'Exames de sangue e urina do 3º trimestre', fromWeek: 28, toWeek: 32 },
+  { key: 'gbs_screening', type: 'LAB_TEST', title: 'Pesquisa de estreptococo do grupo B', fromWeek: 35, toWeek: 37 }
+];
+
+export const RECOMMENDATION_KEYS = RECOMMENDED_APPOINTMENTS.map(item => item.key);
+
+/**
+ * Weeks between routine prenatal visits: monthly until week 28,
+ * every two weeks until week 36, then weekly
+ * @param {number} week
+ * @returns {number}
+ */
+const getVisitIntervalWeeks = (week) => (week < 28 ? 4 : week < 36 ? 2 : 1);
+
+const addDays = (date, days) => new Date(new Date(date).getTime() + days * DAY_MS);
+
+/**
+ * Status of a recommended item for the mother's appointments and current week
+ * @param {Object} item - Entry of RECOMMENDED_APPOINTMENTS with its dates
+ * @param {Array<Object>} appointments - Non-cancelled PrenatalAppointments
+ * @param {number} currentWeek
+ * @returns {Object} { status, appointment }
+ */
+const getItemStatus = (item, appointments, currentWeek) => {
+  // Booked from the suggestion, or an appointment of the same type inside the window
+  const appointment = appointments.find(candidate => candidate.recommendationKey === item.key)
+    || appointments.find(candidate =>
+      !candidate.recommendationKey
+      && candidate.type === item.type
+      && candidate.scheduledAt >= item.fromDate
+      && candidate.scheduledAt < addDays(item.toDate, 1)
+    );
+
+  if (appointment) {
+    return { status: appointment.status === 'COMPLETED' ? 'completed' : 'scheduled', appointment };
+  }
+
+  if (currentWeek > item.toWeek) {
+    return { status: 'overdue', appointment: null };
+  }
+
+  return { status: currentWeek >= item.fromWeek ? 'due' : 'upcoming', appointment: null };
+};
+
+/**
+ * Recommended schedule of a pregnancy: exams and vaccines with their dates and
+ * status, plus when the next routine visit is due
+ * @param {Object} pregnancy - Pregnancy with dueDate
+ * @param {Array<Object>} appointments - The pregnancy's PrenatalAppointments
+ * @param {Date} [now]
+ * @returns {Object} { currentWeek, items, visits }
+ */
+export const getRecommendedSchedule = (pregnancy, appointments, now = new Date()) => {
+  const { currentWeek } = getGestationalAge(pregnancy.dueDate, now);
+  const activeAppointments = appointments
+    .filter(appointment => appointment.status !== 'CANCELLED')
+    .sort((a, b) => a.scheduledAt - b.scheduledAt);
+
+  const items = RECOMMENDED_APPOINTMENTS.map(recommendation => {
+    const item = {
+      ...recommendation,
+      fromDate: getDateAtWeek(pregnancy.dueDate, recommendation.fromWeek),
+      // Last day of toWeek
+      toDate: addDays(getDateAtWeek(pregnancy.dueDate, recommendation.toWeek + 1), -1)
+    };
+
+    return { ...item, ...getItemStatus(item, activeAppointments, currentWeek) };
+  });
+
+  const visits = activeAppointments.filter(appointment => appointment.type === 'PRENATAL_VISIT');
+  const lastVisit = visits.filter(visit => visit.scheduledAt <= now).pop() || null;
+  const nextVisit = visits.find(visit => visit.scheduledAt > now) || null;
+  const intervalWeeks = getVisitIntervalWeeks(currentWeek);
+  const nextVisitDueBy = lastVisit ? addDays(lastVisit.scheduledAt, intervalWeeks * 7) : now;
+
+  return {
+    currentWeek,
+    items,
+    visits: {
+      intervalWeeks,
+      lastVisit,
+      nextVisit,
+      nextVisitDueBy: nextVisit ? null : nextVisitDueBy,
+      isOverdue: !nextVisit && nextVisitDueBy < now
+    }
+  };
+};
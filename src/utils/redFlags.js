@@ -0,0 +1,188 @@
+import prisma from './prisma.js';
+import { MAX_GESTATIONAL_WEEK } from './gestationalAge.js';
+
+export const RED_FLAG_SEVERITIES = ['URGENT', 'EMERGENCY'];
+
+/**
+ * Lowercase, strip accents and collapse spaces, so "Dor de cabeça  FORTE"
+ * matches the keyword "dor de cabeca forte"
+ * @param {*} value
+ * @returns {string}
+ */
+const normalizeText = (value) => {
+  return String(value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Clean the symptom groups of a rule: trimmed keywords, no empty groups
+ * @param {*} symptomGroups - Array of keyword arrays
+ * @returns {Array<Array<string>>|null} Null when the input is not a list of lists
+ */
+export const normalizeSymptomGroups = (symptomGroups) => {
+  if (!Array.isArray(symptomGroups) || !symptomGroups.every(Array.isArray)) {
+    return null;
+  }
+
+  return symptomGroups
+    .map(group => group.map(keyword => String(keyword).trim()).filter(Boolean))
+    .filter(group => group.length > 0);
+};
+
+/**
+ * Validate a complete rule (stored values merged with the requested changes)
+ * @param {Object} rule - { name, symptomGroups, minWeek, maxWeek, severity, guidance }
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateRedFlagRule = (rule) => {
+  if (!rule.name || !String(rule.name).trim()) {
+    return 'O nome da regra é obrigatório';
+  }
+
+  const groups = normalizeSymptomGroups(rule.symptomGroups);
+  if (!groups || groups.length === 0) {
+    return 'Informe symptomGroups como uma lista de grupos de palavras-chave, ex.: [["dor de cabeça forte"], ["inchaço", "edema"]]';
+  }
+
+  for (const field of ['minWeek', 'maxWeek']) {
+    const week = rule[field];
+    if (week !== null && week !== undefined && !(Number.isInteger(week) && week >= 1 && week <= MAX_GESTATIONAL_WEEK)) {
+      return `${field} deve ser um número entre 1 e ${MAX_GESTATIONAL_WEEK}`;
+    }
+  }
+
+  if (rule.minWeek && rule.maxWeek && rule.minWeek > rule.maxWeek) {
+    return 'minWeek não pode ser maior que maxWeek';
+  }
+
+  if (rule.severity && !RED_FLAG_SEVERITIES.includes(rule.severity)) {
+    return `Gravidade inválida. Use: ${RED_FLAG_SEVERITIES.join(', ')}`;
+  }
+
+  if (!rule.guidance || !String(rule.guidance).trim()) {
+    return 'A orientação de atendimento é obrigatória';
+  }
+
+  return null;
+};
+
+// Words that deny a symptom when they come shortly before it ("sem febre", "não tive sangramento")
+const NEGATIONS = ['sem', 'nao', 'nem', 'nenhum', 'nenhuma', 'nunca'];
+const NEGATION_WINDOW_WORDS = 3;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Whether a normalized symptom mentions a keyword as whole words, outside
+ * a negation of the same clause
+ * @param {string} symptom - Normalized logged symptom
+ * @param {string} keyword - Normalized keyword
+ * @returns {boolean}
+ */
+const mentionsKeyword = (symptom, keyword) => {
+  // Whole words, plurals included ("inchaços" mentions "inchaço")
+  const pattern = new RegExp(`(?<![a-z0-9])${escapeRegExp(keyword)}(?:e?s)?(?![a-z0-9])`, 'g');
+
+  for (const match of symptom.matchAll(pattern)) {
+    // Words of the same clause right before the keyword
+    const clause = symptom.slice(0, match.index).split(/[,;.!?]|\bmas\b|\bporem\b/).pop();
+    const previousWords = clause.split(/[^a-z0-9]+/).filter(Boolean).slice(-NEGATION_WINDOW_WORDS);
+
+    if (!previousWords.some(word => NEGATIONS.includes(word))) {
+      return true;
+    }
+  }
+
+  return false;
+};
+
+/**
+ * Check a rule against normalized symptoms: the week must be in range and
+ * every symptom group must have a keyword mentioned in some logged symptom
+ * @param {Object} rule - RedFlagRule
+ * @param {Array<string>} symptoms - Normalized logged symptoms
+ * @param {number} week - Gestational week of the log
+ * @returns {boolean}
+ */
+const matchesRule = (rule, symptoms, week) => {
+  if ((rule.minWeek && week < rule.minWeek) || (rule.maxWeek && week > rule.maxWeek)) {
+    return false;
+  }
+
+  const groups = normalizeSymptomGroups(rule.symptomGroups);
+  if (!groups || groups.length === 0) {
+    return false;
+  }
+
+  return groups.every(group =>
+    group.some(keyword => {
+      const normalizedKeyword = normalizeText(keyword);
+      return symptoms.some(symptom => mentionsKeyword(symptom, normalizedKeyword));
+    })
+  );
+};
+
+/**
+ * Match logged symptoms against the active red-flag rules
+ * @param {Array<string>} symptoms - Symptoms as logged
+ * @param {number} week - Gestational week of the log
+ * @returns {Promise<Array<Object>>} Matched rules, emergencies first: [{ id, name, severity, guidance }]
+ */
+export const findRedFlags = async (symptoms, week) => {
+  const normalized = (Array.isArray(symptoms) ? symptoms : [])
+    .map(normalizeText)
+    .filter(Boolean);
+
+  if (normalized.length === 0) {
+    return [];
+  }
+
+  const rules = await prisma.redFlagRule.findMany({
+    where: { isActive: true }
+  });
+
+  return rules
+    .filter(rule => matchesRule(rule, normalized, week))
+    .sort((a, b) => RED_FLAG_SEVERITIES.indexOf(b.severity) - RED_FLAG_SEVERITIES.indexOf(a.severity))
+    .map(({ id, name, severity, guidance }) => ({ id, name, severity, guidance }));
+};
+
+/**
+ * Send the mother a high-priority notification about matched red flags.
+ * Never throws: the symptom log is already saved and the guidance is in the response.
+ * @param {string} motherProfileId
+ * @param {Object} symptomLog - SymptomLog that triggered the alert
+ * @param {Array<Object>} redFlags - Result of findRedFlags
+ * @returns {Promise<void>}
+ */
+export const notifyRedFlags = async (motherProfileId, symptomLog, redFlags) => {
+  if (redFlags.length === 0) {
+    return;
+  }
+
+  try {
+    const isEmergency = redFlags.some(redFlag => redFlag.severity === 'EMERGENCY');
+
+    await prisma.notification.create({
+      data: {
+        userId: motherProfileId,
+        type: 'HEALTH_ALERT',
+        priority: 'HIGH',
+        title: isEmergency
+          ? 'Sinal de alerta: procure atendimento de emergência agora'
+          : 'Sinal de alerta: procure atendimento médico',
+        message: redFlags.map(redFlag => redFlag.guidance).join('\n\n'),
+        data: {
+          symptomLogId: symptomLog.id,
+          ruleIds: redFlags.map(redFlag => redFlag.id)
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Red flag notification error:', error);
+  }
+};
@@ -0,0 +1,17 @@
+// Fields that must never leave the API
+const PRIVATE_USER_FIELDS = ['passwordHash', 'twoFactorSecret'];
+
+/**
+ * Strip credentials and secrets from a user record before returning it
+ * @param {Object} user
+ * @returns {Object} User without private fields
+ */
+export const sanitizeUser = (user) => {
+  const publicUser = { ...user };
+
+  for (const field of PRIVATE_USER_FIELDS) {
+    delete publicUser[field];
+  }
+
+  return publicUser;
+};
@@ -0,0 +1,251 @@
+import prisma from './prisma.js';
+import { generateToken } from './jwt.js';
+import { generateOpaqueToken, hashToken } from './tokens.js';
+
+const REFRESH_TOKEN_EXPIRES_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+const LAST_SEEN_UPDATE_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Error thrown when a refresh token cannot be exchanged
+ */
+export class RefreshTokenError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'RefreshTokenError';
+    this.code = code;
+    this.statusCode = 401;
+  }
+}
+
+/**
+ * Expiry date for a refresh token issued now
+ * @returns {Date}
+ */
+const refreshTokenExpiry = () => {
+  return new Date(Date.now() + REFRESH_TOKEN_EXPIRES_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Derive a readable device label from a user agent
+ * @param {string} userAgent
+ * @returns {string}
+ */
+const guessDeviceLabel = (userAgent = '') => {
+  if (/iphone|ipad|ios/i.test(userAgent)) return 'iPhone/iPad';
+  if (/android/i.test(userAgent)) return 'Android';
+  if (/windows/i.test(userAgent)) return 'Windows';
+  if (/macintosh|mac os/i.test(userAgent)) return 'Mac';
+  if (/linux/i.test(userAgent)) return 'Linux';
+  return 'Dispositivo desconhecido';
+};
+
+/**
+ * Read session metadata (device, IP, user agent) from a request
+ * @param {Object} req - Express request
+ * @returns {Object} { deviceLabel, ipAddress, userAgent }
+ */
+export const getSessionMetadata = (req) => {
+  const userAgent = req.get('user-agent') || null;
+  const deviceLabel = req.body?.deviceLabel || req.get('x-device-label') || guessDeviceLabel(userAgent || '');
+
+  return {
+    deviceLabel: String(deviceLabel).slice(0, 100),
+    ipAddress: req.ip || null,
+    userAgent
+  };
+};
+
+/**
+ * Persist a new refresh token for a session
+ * @param {string} userId
+ * @param {string} sessionId
+ * @returns {Promise<{ token: string, record: Object }>}
+ */
+const createRefreshToken = async (userId, sessionId) => {
+  const token = generateOpaqueToken();
+
+  const record = await prisma.refreshToken.create({
+    data: {
+      userId,
+      sessionId,
+      tokenHash: hashToken(token),
+      expiresAt: refreshTokenExpiry()
+    }
+  });
+
+  return { token, record };
+};
+
+/**
+ * Build the access token for a user session
+ * @param {Object} user
+ * @param {string} sessionId
+ * @returns {string} JWT access token
+ */
+const generateAccessToken = (user, sessionId) => {
+  return generateToken({
+    userId: user.id,
+    email: user.email,
+    role: user.role,
+    sid: sessionId
+  });
+};
+
+/**
+ * Start a session: access token plus the first refresh token of its family
+ * @param {Object} user - User with id, email and role
+ * @param {Object} metadata - { deviceLabel, ipAddress, userAgent }
+ * @returns {Promise<{ token: string, refreshToken: string, sessionId: string }>}
+ */
+export const issueAuthTokens = async (user, metadata = {}) => {
+  const session = await prisma.session.create({
+    data: {
+      userId: user.id,
+      deviceLabel: metadata.deviceLabel || null,
+      ipAddress: metadata.ipAddress || null,
+      userAgent: metadata.userAgent || null,
+      expiresAt: refreshTokenExpiry()
+    }
+  });
+
+  const { token: refreshToken } = await createRefreshToken(user.id, session.id);
+
+  return {
+    token: generateAccessToken(user, session.id),
+    refreshToken,
+    sessionId: session.id
+  };
+};
+
+/**
+ * Revoke a session and every refresh token it holds
+ * @param {string} sessionId
+ */
+export const revokeSession = async (sessionId) => {
+  const now = new Date();
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { id: sessionId, revokedAt: null },
+      data: { revokedAt: now }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { sessionId, revokedAt: null },
+      data: { revokedAt: now }
+    })
+  ]);
+};
+
+/**
+ * Revoke every session a user holds ("log out everywhere")
+ * @param {string} userId
+ * @param {Object} options - { exceptSessionId } to keep the current device
+ */
+export const revokeUserSessions = async (userId, { exceptSessionId } = {}) => {
+  const now = new Date();
+  const sessionFilter = exceptSessionId ? { not: exceptSessionId } : undefined;
+
+  await prisma.$transaction([
+    prisma.session.updateMany({
+      where: { userId, revokedAt: null, ...(sessionFilter && { id: sessionFilter }) },
+      data: { revokedAt: now }
+    }),
+    prisma.refreshToken.updateMany({
+      where: { userId, revokedAt: null, ...(sessionFilter && { sessionId: sessionFilter }) },
+      data: { revokedAt: now }
+    })
+  ]);
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Replaying an already rotated token revokes the whole session.
+ * @param {string} refreshToken - Raw refresh token sent by the client
+ * @param {Object} metadata - { ipAddress } of the refreshing client
+ * @returns {Promise<{ token: string, refreshToken: string, user: Object }>}
+ */
+export const rotateRefreshToken = async (refreshToken, metadata = {}) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) },
+    include: { user: true, session: true }
+  });
+
+  if (!stored) {
+    throw new RefreshTokenError('Refresh token inválido', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (stored.revokedAt || stored.session.revokedAt) {
+    // A rotated token is being replayed: assume it was stolen and kill the session
+    if (stored.replacedById) {
+      await revokeSession(stored.sessionId);
+      throw new RefreshTokenError('Refresh token reutilizado. Faça login novamente', 'REFRESH_TOKEN_REUSED');
+    }
+
+    throw new RefreshTokenError('Refresh token revogado', 'REFRESH_TOKEN_REVOKED');
+  }
+
+  if (stored.expiresAt <= new Date()) {
+    throw new RefreshTokenError('Refresh token expirado', 'REFRESH_TOKEN_EXPIRED');
+  }
+
+  const { token: newRefreshToken, record } = await createRefreshToken(stored.userId, stored.sessionId);
+
+  // Only rotate if nobody else rotated it concurrently
+  const { count } = await prisma.refreshToken.updateMany({
+    where: { id: stored.id, revokedAt: null },
+    data: { revokedAt: new Date(), replacedById: record.id }
+  });
+
+  if (count === 0) {
+    await revokeSession(stored.sessionId);
+    throw new RefreshTokenError('Refresh token reutilizado. Faça login novamente', 'REFRESH_TOKEN_REUSED');
+  }
+
+  await prisma.session.update({
+    where: { id: stored.sessionId },
+    data: {
+      lastSeenAt: new Date(),
+      expiresAt: record.expiresAt,
+      ...(metadata.ipAddress && { ipAddress: metadata.ipAddress })
+    }
+  });
+
+  return {
+    token: generateAccessToken(stored.user, stored.sessionId),
+    refreshToken: newRefreshToken,
+    user: stored.user
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to (logout)
+ * @param {string} refreshToken - Raw refresh token sent by the client
+ * @returns {Promise<boolean>} Whether a matching token was found
+ */
+export const revokeRefreshToken = async (refreshToken) => {
+  const stored = await prisma.refreshToken.findUnique({
+    where: { tokenHash: hashToken(refreshToken) }
+  });
+
+  if (!stored) {
+    return false;
+  }
+
+  await revokeSession(stored.sessionId);
+  return true;
+};
+
+/**
+ * Refresh a session's last-seen time, at most once per minute
+ * @param {Object} session
+ */
+export const touchSession = async (session) => {
+  if (Date.now() - session.lastSeenAt.getTime() < LAST_SEEN_UPDATE_INTERVAL_MS) {
+    return;
+  }
+
+  await prisma.session.update({
+    where: { id: session.id },
+    data: { lastSeenAt: new Date() }
+  });
+};
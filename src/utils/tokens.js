@@ -0,0 +1,19 @@
+import crypto from 'crypto';
+
+/**
+ * Generate a random opaque token (refresh tokens, reset links, etc.)
+ * @param {number} bytes - Amount of random bytes
+ * @returns {string} URL-safe token
+ */
+export const generateOpaqueToken = (bytes = 48) => {
+  return crypto.randomBytes(bytes).toString('base64url');
+};
+
+/**
+ * Hash an opaque token for storage/lookup
+ * @param {string} token
+ * @returns {string} Hex-encoded SHA-256 digest
+ */
+export const hashToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
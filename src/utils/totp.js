@@ -0,0 +1,212 @@
+import crypto from 'crypto';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_ISSUER = process.env.TWO_FACTOR_ISSUER || 'Mamacita';
+
+// Secrets are stored encrypted (AES-256-GCM)
+const ENCRYPTION_KEY = crypto
+  .createHash('sha256')
+  .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || 'fallback-secret-change-in-production')
+  .digest();
+
+/**
+ * Encode a buffer as RFC 4648 base32 (no padding)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+};
+
+/**
+ * Decode an RFC 4648 base32 string
+ * @param {string} input
+ * @returns {Buffer}
+ */
+const base32Decode = (input) => {
+  const clean = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Segredo base32 inválido');
+    }
+
+    value = (value << 5) | index;
+    bits += 5;
+
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+};
+
+/**
+ * Compute an HOTP code (RFC 4226)
+ * @param {Buffer} key
+ * @param {number} counter
+ * @returns {string} Zero-padded code
+ */
+const hotp = (key, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', key).update(counterBuffer).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+};
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32 secret
+ */
+export const generateTotpSecret = () => {
+  return base32Encode(crypto.randomBytes(20));
+};
+
+/**
+ * Build the otpauth:// provisioning URI for authenticator apps
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export const buildProvisioningUri = (secret, accountName) => {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS)
+  });
+
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Generate the TOTP code for a given time (RFC 6238)
+ * @param {string} secret - Base32 secret
+ * @param {number} timestamp - Milliseconds since epoch
+ * @returns {string}
+ */
+export const generateTotp = (secret, timestamp = Date.now()) => {
+  const step = Math.floor(timestamp / 1000 / TOTP_PERIOD_SECONDS);
+  return hotp(base32Decode(secret), step);
+};
+
+/**
+ * Verify a TOTP code, allowing one step of clock drift either way.
+ * Returns the matched time step so callers can reject replays.
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code typed by the user
+ * @param {number} lastUsedStep - Last step already accepted (replay protection)
+ * @returns {number|null} Matched time step or null
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!/^\d+$/.test(normalized) || normalized.length !== TOTP_DIGITS) {
+    return null;
+  }
+
+  const key = base32Decode(secret);
+  const currentStep = Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+
+  for (const step of [currentStep - 1, currentStep, currentStep + 1]) {
+    if (step <= lastUsedStep) {
+      continue;
+    }
+
+    const expected = hotp(key, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret
+ * @returns {string} iv:tag:ciphertext (base64)
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  const ciphertext = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+
+  return [iv, cipher.getAuthTag(), ciphertext].map(part => part.toString('base64')).join(':');
+};
+
+/**
+ * Decrypt a stored TOTP secret
+ * @param {string} stored - iv:tag:ciphertext (base64)
+ * @returns {string}
+ */
+export const decryptSecret = (stored) => {
+  const [iv, tag, ciphertext] = stored.split(':').map(part => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', ENCRYPTION_KEY, iv);
+  decipher.setAuthTag(tag);
+
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf8');
+};
+
+/**
+ * Generate human-friendly one-time recovery codes (e.g. "K7QX2-MZ4PA")
+ * @param {number} count
+ * @returns {Array<string>}
+ */
+export const generateRecoveryCodes = (count = 10) => {
+  return Array.from({ length: count }, () => {
+    const code = base32Encode(crypto.randomBytes(7)).slice(0, 10);
+    return `${code.slice(0, 5)}-${code.slice(5)}`;
+  });
+};
+
+/**
+ * Normalize a recovery code before hashing/comparison
+ * @param {string} code
+ * @returns {string}
+ */
+export const normalizeRecoveryCode = (code) => {
+  return String(code || '').toUpperCase().replace(/[^A-Z2-7]/g, '');
+};
+
+/**
+ * Whether the user's role must have 2FA enabled
+ * (REQUIRE_2FA_FOR_ADMINS=true makes it mandatory for ADMIN)
+ * @param {Object} user
+ * @returns {boolean}
+ */
+export const isTwoFactorMandatory = (user) => {
+  return process.env.REQUIRE_2FA_FOR_ADMINS === 'true' && user.role === 'ADMIN';
+};
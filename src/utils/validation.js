@@ -49,3 +49,40 @@ export const isFutureDate = (date) => {
   const dateObj = new Date(date);
   return dateObj > new Date();
 };
+
+/**
+ * Validate the body of a symptom log (pregnancy or postpartum)
+ * @param {Object} body - { symptoms, mood, notes }
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateSymptomLog = ({ symptoms, mood, notes }) => {
+  if (symptoms !== undefined && symptoms !== null
+    && (!Array.isArray(symptoms) || !symptoms.every(symptom => typeof symptom === 'string'))) {
+    return 'Sintomas devem ser uma lista de textos';
+  }
+
+  if (mood !== undefined && mood !== null && typeof mood !== 'string') {
+    return 'Humor deve ser um texto';
+  }
+
+  if (notes !== undefined && notes !== null && typeof notes !== 'string') {
+    return 'Observações devem ser um texto';
+  }
+
+  return null;
+};
+
+/**
+ * Parse an optional timestamp sent by the app (defaults to now)
+ * @param {*} value
+ * @returns {Date|null} Null when invalid or in the future
+ */
+export const parseTimestamp = (value) => {
+  const now = new Date();
+  if (value === undefined || value === null) {
+    return now;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) || date > now ? null : date;
+};
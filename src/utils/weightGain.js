@@ -0,0 +1,135 @@
+import { TERM_DAYS } from './gestationalAge.js';
+import { round } from './numbers.js';
+
+const TERM_WEEK = TERM_DAYS / 7;
+
+// Gain expected by the end of the 1st trimester, for every BMI category
+const FIRST_TRIMESTER_WEEK = 13;
+const FIRST_TRIMESTER_GAIN_KG = { min: 0.5, max: 2 };
+
+/**
+ * IOM 2009 recommendations for singleton pregnancies, by pre-pregnancy BMI:
+ * total gain at term and weekly gain in the 2nd and 3rd trimesters (kg)
+ */
+export const IOM_GUIDELINES = [
+  { category: 'underweight', maxBmi: 18.5, totalGainKg: { min: 12.5, max: 18 }, weeklyGainKg: { min: 0.44, max: 0.58 } },
+  { category: 'normal', maxBmi: 25, totalGainKg: { min: 11.5, max: 16 }, weeklyGainKg: { min: 0.35, max: 0.5 } },
+  { category: 'overweight', maxBmi: 30, totalGainKg: { min: 7, max: 11.5 }, weeklyGainKg: { min: 0.23, max: 0.33 } },
+  { category: 'obese', maxBmi: Infinity, totalGainKg: { min: 5, max: 9 }, weeklyGainKg: { min: 0.17, max: 0.27 } }
+];
+
+const HEIGHT_RANGE_CM = { min: 120, max: 220 };
+const WEIGHT_RANGE_KG = { min: 30, max: 250 };
+
+// Pregnancy fields with the mother's pre-pregnancy measurements
+export const WEIGHT_BASELINE_FIELDS = ['heightCm', 'prePregnancyWeightKg'];
+
+const isInRange = (value, range) => Number.isFinite(value) && value >= range.min && value <= range.max;
+
+/**
+ * Validate a weight reading in kg
+ * @param {*} value
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateWeight = (value) => {
+  return isInRange(parseFloat(value), WEIGHT_RANGE_KG)
+    ? null
+    : `Peso inválido. Informe em kg (entre ${WEIGHT_RANGE_KG.min} e ${WEIGHT_RANGE_KG.max})`;
+};
+
+/**
+ * Validate the pre-pregnancy measurements present in a request body
+ * (null clears a value)
+ * @param {Object} body - { heightCm, prePregnancyWeightKg }
+ * @returns {string|null} Error message or null when valid
+ */
+export const validateWeightBaseline = ({ heightCm, prePregnancyWeightKg }) => {
+  if (heightCm !== undefined && heightCm !== null && !isInRange(parseFloat(heightCm), HEIGHT_RANGE_CM)) {
+    return `Altura inválida. Informe em cm (entre ${HEIGHT_RANGE_CM.min} e ${HEIGHT_RANGE_CM.max})`;
+  }
+
+  if (prePregnancyWeightKg !== undefined && prePregnancyWeightKg !== null) {
+    return validateWeight(prePregnancyWeightKg);
+  }
+
+  return null;
+};
+
+/**
+ * Pick the pre-pregnancy measurements present in a (validated) request body
+ * @param {Object} body
+ * @returns {Object} Prisma data
+ */
+export const pickWeightBaseline = (body) => {
+  const data = {};
+
+  for (const field of WEIGHT_BASELINE_FIELDS) {
+    if (body[field] !== undefined) {
+      data[field] = body[field] === null ? null : round(parseFloat(body[field]));
+    }
+  }
+
+  return data;
+};
+
+/**
+ * Pre-pregnancy BMI and the IOM recommendation that applies to it
+ * @param {Object} pregnancy - Pregnancy with heightCm and prePregnancyWeightKg
+ * @returns {Object|null} { prePregnancyWeightKg, bmi, category, totalGainKg, weeklyGainKg },
+ *   or null without both measurements
+ */
+export const getWeightBaseline = (pregnancy) => {
+  if (!pregnancy.heightCm || !pregnancy.prePregnancyWeightKg) {
+    return null;
+  }
+
+  const heightM = pregnancy.heightCm / 100;
+  const bmi = round(pregnancy.prePregnancyWeightKg / (heightM * heightM));
+  const { maxBmi, ...guideline } = IOM_GUIDELINES.find(item => bmi < item.maxBmi);
+
+  return { prePregnancyWeightKg: pregnancy.prePregnancyWeightKg, bmi, ...guideline };
+};
+
+/**
+ * Recommended total gain (kg over pre-pregnancy weight) by a gestational week.
+ * Rises from 0 to the 1st-trimester gain by week 13, then linearly to the
+ * IOM total at 40 weeks, and keeps that pace after term.
+ * @param {Object} baseline - From getWeightBaseline
+ * @param {number} week
+ * @returns {Object} { min, max }
+ */
+export const getGainRange = (baseline, week) => {
+  const rangeAt = (bound) => {
+    const firstTrimesterGain = FIRST_TRIMESTER_GAIN_KG[bound];
+
+    if (week <= FIRST_TRIMESTER_WEEK) {
+      return firstTrimesterGain * Math.max(0, week) / FIRST_TRIMESTER_WEEK;
+    }
+
+    const weeklyPace = (baseline.totalGainKg[bound] - firstTrimesterGain) / (TERM_WEEK - FIRST_TRIMESTER_WEEK);
+    return firstTrimesterGain + weeklyPace * (week - FIRST_TRIMESTER_WEEK);
+  };
+
+  return { min: round(rangeAt('min')), max: round(rangeAt('max')) };
+};
+
+/**
+ * Compare a reading with the recommended gain for its week
+ * @param {Object} baseline - From getWeightBaseline
+ * @param {number} weightKg
+ * @param {number} week
+ * @returns {Object} { gainKg, recommendedGainKg, status: 'below' | 'within' | 'above' }
+ */
+export const assessWeight = (baseline, weightKg, week) => {
+  const gainKg = round(weightKg - baseline.prePregnancyWeightKg);
+  const recommendedGainKg = getGainRange(baseline, week);
+
+  let status = 'within';
+  if (gainKg < recommendedGainKg.min) {
+    status = 'below';
+  } else if (gainKg > recommendedGainKg.max) {
+    status = 'above';
+  }
+
+  return { gainKg, recommendedGainKg, status };
+};